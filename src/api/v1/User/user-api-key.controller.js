@@ -0,0 +1,132 @@
+//libs
+import httpStatus from 'http-status';
+
+//utilities
+import createResponse from '../../../utils/response';
+
+//services
+import userApiKeys from '../../../services/user-api-key.service';
+
+//misc
+import {
+  apiKeyProviderValidation,
+  saveApiKeyValidation,
+} from './user.validator';
+
+/**
+ * List the authenticated user's provider API keys (masked)
+ */
+const listApiKeys = async (req, res) => {
+  try {
+    const keys = await userApiKeys.listKeys(req.user._id);
+
+    return createResponse({
+      res,
+      statusCode: httpStatus.OK,
+      status: true,
+      message: 'API keys retrieved',
+      data: { keys },
+    });
+  } catch (error) {
+    return createResponse({
+      res,
+      statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+      message: 'Internal server error',
+      status: false,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Store or replace the authenticated user's API key for a provider
+ */
+const saveApiKey = async (req, res) => {
+  try {
+    const payload = {
+      provider: req.params.provider,
+      apiKey: req.body.apiKey,
+    };
+
+    const { provider, apiKey } = await saveApiKeyValidation.validate(payload);
+
+    const key = await userApiKeys.saveKey(req.user._id, provider, apiKey);
+
+    return createResponse({
+      res,
+      statusCode: httpStatus.OK,
+      status: true,
+      message: 'API key saved',
+      data: { key },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return createResponse({
+        res,
+        statusCode: httpStatus.BAD_REQUEST,
+        status: false,
+        message: error.errors?.[0] || 'Validation error',
+        error: error.errors,
+      });
+    }
+    return createResponse({
+      res,
+      statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+      message: 'Internal server error',
+      status: false,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove the authenticated user's API key for a provider
+ */
+const deleteApiKey = async (req, res) => {
+  try {
+    const { provider } = await apiKeyProviderValidation.validate({
+      provider: req.params.provider,
+    });
+
+    const key = await userApiKeys.deleteKey(req.user._id, provider);
+
+    if (!key) {
+      return createResponse({
+        res,
+        statusCode: httpStatus.NOT_FOUND,
+        status: false,
+        message: 'No API key stored for this provider',
+      });
+    }
+
+    return createResponse({
+      res,
+      statusCode: httpStatus.OK,
+      status: true,
+      message: 'API key deleted',
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return createResponse({
+        res,
+        statusCode: httpStatus.BAD_REQUEST,
+        status: false,
+        message: error.errors?.[0] || 'Validation error',
+        error: error.errors,
+      });
+    }
+    return createResponse({
+      res,
+      statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+      message: 'Internal server error',
+      status: false,
+      error: error.message,
+    });
+  }
+};
+
+export const userApiKeyController = {
+  listApiKeys,
+  saveApiKey,
+  deleteApiKey,
+};
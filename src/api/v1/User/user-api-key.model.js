@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+const userApiKeySchema = new Schema(
+  {
+    userId: { type: mongoose.Types.ObjectId, ref: 'User', required: true },
+    provider: { type: String, trim: true, required: true },
+    // AES-256-CBC ciphertext and IV (hex); never selected by default
+    encryptedKey: { type: String, required: true, select: false },
+    iv: { type: String, required: true, select: false },
+    lastFour: { type: String, trim: true },
+    lastUsedAt: { type: Date },
+  },
+  {
+    toJSON: {
+      getters: true,
+      transform: (doc, ret) => {
+        delete ret.encryptedKey;
+        delete ret.iv;
+        return ret;
+      },
+    },
+    timestamps: true,
+  }
+);
+
+userApiKeySchema.index({ userId: 1, provider: 1 }, { unique: true });
+
+const UserApiKey = model('UserApiKey', userApiKeySchema);
+
+export default UserApiKey;
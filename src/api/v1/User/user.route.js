@@ -1,6 +1,7 @@
 import express from 'express';
 
 import { userController } from './user.controller';
+import { userApiKeyController } from './user-api-key.controller';
 import auth from '../../../middlewares/auth.middleware';
 
 const router = express.Router();
@@ -22,4 +23,9 @@ router.post('/google-login', userController.googleLogin);
 router.post('/mobile-login', userController.mobileLogin);
 router.post('/set-verify-mpin/:id', userController.setVerifyMPIN);
 
+// Provider API keys of the logged-in user (bring your own key)
+router.get('/api-keys', auth, userApiKeyController.listApiKeys);
+router.put('/api-keys/:provider', auth, userApiKeyController.saveApiKey);
+router.delete('/api-keys/:provider', auth, userApiKeyController.deleteApiKey);
+
 export default router;
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import * as yup from 'yup';
+import modelRegistry from '../../../services/model-registry.service';
 
 export const createUserValidation = yup.object().shape({
   name: yup
@@ -84,4 +85,20 @@ export const changepasswordValidation = yup.object().shape({
   email: yup.string().required('Email is required'),
   token: yup.string().required('Token is required'),
   password: yup.string().required('Password is required'),
-});
\ No newline at end of file
+});
+
+export const apiKeyProviderValidation = yup.object().shape({
+  provider: yup
+    .string()
+    .required('Provider is required')
+    .oneOf(modelRegistry.keyProviders(), 'Unsupported provider'),
+});
+
+export const saveApiKeyValidation = apiKeyProviderValidation.shape({
+  apiKey: yup
+    .string()
+    .trim()
+    .required('API key is required')
+    .min(8, 'API key is too short')
+    .max(512, 'API key is too long'),
+});
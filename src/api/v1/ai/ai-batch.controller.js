@@ -0,0 +1,442 @@
+//libs
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import multer from 'multer';
+import httpStatus from 'http-status';
+
+//utilities
+import createResponse from '../../../utils/response.js';
+import { extractCommonQueryParams } from '../../../utils/requestHelper.js';
+
+//models
+import AIBatch from './ai-batch.model.js';
+
+//services
+import aiBatch from '../../../services/ai-batch.service.js';
+import aiService from '../../../services/ai.service.js';
+import aiQueue from '../../../services/ai-queue.service.js';
+import aiRequest from '../../../services/ai-request.service.js';
+import aiQuota from '../../../services/ai-quota.service.js';
+import aiTemplate from '../../../services/ai-template.service.js';
+import aiModeration from '../../../services/ai-moderation.service.js';
+import modelRegistry from '../../../services/model-registry.service.js';
+
+//validators
+import {
+    createBatchValidation,
+    getBatchValidation,
+    listBatchesValidation,
+    exportBatchValidation
+} from './ai.validator.js';
+
+const BATCH_FILE_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+// Uploads are written to a temp file, parsed, then deleted
+const upload = multer({
+    dest: os.tmpdir(),
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB
+    },
+    fileFilter: (req, file, cb) => {
+        if (!BATCH_FILE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+            return cb(new Error('Only CSV and Excel files are allowed'));
+        }
+        cb(null, true);
+    }
+});
+
+/**
+ * Accept a single batch file in the `file` field, answering 400 on upload errors
+ */
+const uploadBatchFile = (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+        if (error) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: error.message || 'File upload failed'
+            });
+        }
+        next();
+    });
+};
+
+/**
+ * Start a batch run: one AI response per row of the uploaded file
+ */
+const createBatch = async (req, res) => {
+    // Quota reservation, given back if the batch is never created
+    let reservation = null;
+    try {
+        const userId = req.user._id;
+        const ipAddress = req.ip || req.connection.remoteAddress;
+        const userAgent = req.get('User-Agent');
+
+        if (!req.file) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: 'No file uploaded'
+            });
+        }
+
+        // Parse (and remove) the upload first so no early return leaves it behind
+        const rows = await aiBatch.readRows(req.file);
+
+        // Multipart fields are strings; settings is sent as JSON
+        let payload;
+        try {
+            payload = {
+                ...req.body,
+                settings: typeof req.body.settings === 'string' ? JSON.parse(req.body.settings) : req.body.settings
+            };
+        } catch {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: 'Settings must be valid JSON'
+            });
+        }
+
+        await createBatchValidation.validate(payload, { abortEarly: false });
+
+        let { name, projectId, templateId, settings = {} } = payload;
+
+        if (rows.length > aiBatch.maxRows) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: `A batch can have at most ${aiBatch.maxRows} rows`
+            });
+        }
+
+        let template = null;
+        if (templateId) {
+            template = await aiTemplate.findAccessible(templateId, userId);
+
+            if (!template) {
+                return createResponse({
+                    res,
+                    statusCode: httpStatus.NOT_FOUND,
+                    status: false,
+                    message: 'Template not found'
+                });
+            }
+
+            settings = { ...aiTemplate.getDefaultSettings(template), ...settings };
+        }
+
+        const { prompts, skipped } = aiBatch.buildPrompts(rows, template);
+
+        if (prompts.length === 0) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: 'The file has no usable prompts',
+                error: { skippedRows: skipped }
+            });
+        }
+
+        // Quotas (every row is one request), project access, system prompt and moderation policy
+        const prepared = await aiRequest.prepare({ user: req.user, projectId, settings, requests: prompts.length });
+        if (prepared.error) {
+            const { message, quotas, retryAfter } = prepared.error;
+            if (retryAfter) res.set('Retry-After', String(retryAfter));
+            return createResponse({
+                res,
+                statusCode: quotas ? httpStatus.TOO_MANY_REQUESTS : httpStatus.NOT_FOUND,
+                status: false,
+                message,
+                error: quotas && { quotas }
+            });
+        }
+        settings = prepared.settings;
+
+        const enabledModels = settings.enabledModels || modelRegistry.ids();
+        const availableModelNames = await aiService.getAvailableModels(userId);
+        const modelsToUse = enabledModels.filter(model => availableModelNames.includes(model));
+
+        if (modelsToUse.length === 0) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: 'No AI models are configured and available'
+            });
+        }
+
+        // Rows the moderation policy blocks are skipped
+        const allowedPrompts = [];
+        prompts.forEach(item => {
+            const moderation = aiModeration.checkInput([{ source: 'prompt', text: item.prompt }], settings.moderation);
+            if (moderation.blocked) {
+                skipped.push({
+                    row: item.row,
+                    reason: `Blocked by moderation policy: ${aiModeration.describeFindings(moderation.findings)}`
+                });
+            } else {
+                allowedPrompts.push({ ...item, findings: moderation.findings });
+            }
+        });
+        skipped.sort((a, b) => a.row - b.row);
+
+        if (allowedPrompts.length === 0) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: 'Every row was blocked by the moderation policy',
+                error: { skippedRows: skipped }
+            });
+        }
+
+        // Reserve one request per remaining row against the quotas
+        const reserved = await aiRequest.reserve({ user: req.user, projectId, requests: allowedPrompts.length });
+        if (reserved.error) {
+            const { message, quotas, retryAfter } = reserved.error;
+            res.set('Retry-After', String(retryAfter));
+            return createResponse({
+                res,
+                statusCode: httpStatus.TOO_MANY_REQUESTS,
+                status: false,
+                message,
+                error: { quotas }
+            });
+        }
+        reservation = reserved.reservation;
+
+        // Auto-create a project named after the batch if not provided
+        if (!projectId) {
+            projectId = (await aiRequest.createDefaultProject(userId, name || req.file.originalname))._id;
+        }
+
+        const { batch, responses } = await aiBatch.createBatch({
+            name,
+            fileName: req.file.originalname,
+            userId,
+            projectId,
+            template,
+            prompts: allowedPrompts,
+            skipped,
+            settings,
+            models: modelsToUse,
+            ipAddress,
+            userAgent
+        });
+        reservation = null;
+
+        // Queue every row; the queue's concurrency limits pace the run
+        for (const aiResponse of responses) {
+            await aiQueue.enqueue(aiResponse._id, modelsToUse, { userId });
+        }
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.CREATED,
+            status: true,
+            message: 'Batch run started',
+            data: { batch }
+        });
+    } catch (error) {
+        if (reservation) {
+            await aiQuota.release(reservation).catch(releaseError =>
+                console.error('[Quota] Error releasing reservation:', releaseError));
+        }
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to start batch run',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List the user's batch runs (newest first)
+ */
+const listBatches = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { limit, skip } = extractCommonQueryParams(req);
+        const { status } = req.query;
+
+        await listBatchesValidation.validate({
+            ...req.query,
+            page: Math.floor(skip / limit) + 1,
+            limit
+        });
+
+        const query = { userId };
+        if (status) {
+            query.status = status;
+        }
+
+        const [batches, totalCount] = await Promise.all([
+            AIBatch.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .select('-__v -skippedRows'),
+            AIBatch.countDocuments(query)
+        ]);
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Batches retrieved successfully',
+            data: {
+                batches,
+                count: totalCount,
+                page: Math.floor(skip / limit) + 1,
+                totalPages: Math.ceil(totalCount / limit)
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to retrieve batches',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get a batch run with its progress
+ */
+const getBatch = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        await getBatchValidation.validate({ id });
+
+        const batch = await AIBatch.findOne({ _id: id, userId }).select('-__v');
+
+        if (!batch) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'Batch not found'
+            });
+        }
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Batch retrieved successfully',
+            data: { batch }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to retrieve batch',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Download every model response of a batch as CSV or XLSX
+ */
+const exportBatch = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { format = 'csv' } = req.query;
+        const userId = req.user._id;
+
+        await exportBatchValidation.validate({ id, format });
+
+        const batch = await AIBatch.findOne({ _id: id, userId }).lean();
+
+        if (!batch) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'Batch not found'
+            });
+        }
+
+        const fileName = `batch-${batch._id}.${format}`;
+
+        if (format === 'xlsx') {
+            const buffer = await aiBatch.exportXLSX(batch);
+            res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+            return res.status(httpStatus.OK).send(buffer);
+        }
+
+        const filePath = await aiBatch.exportCSV(batch);
+        return res.download(filePath, fileName, () => {
+            fs.unlink(filePath, (error) => {
+                if (error) console.error('[Batch] Error deleting export:', error);
+            });
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to export batch',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+export const aiBatchController = {
+    uploadBatchFile,
+    createBatch,
+    listBatches,
+    getBatch,
+    exportBatch
+};
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import modelRegistry from '../../../services/model-registry.service';
+
+const { Schema, model } = mongoose;
+
+// A prompt run over every row of an uploaded CSV/XLSX file
+// Each row becomes one AIResponse with batchId pointing here.
+const aiBatchSchema = new Schema(
+    {
+        name: {
+            type: String,
+            trim: true
+        },
+        fileName: { type: String, trim: true },
+        userId: {
+            type: mongoose.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+        projectId: {
+            type: mongoose.Types.ObjectId,
+            ref: 'Project',
+            required: true
+        },
+        templateId: { type: mongoose.Types.ObjectId, ref: 'PromptTemplate' },
+        enabledModels: [{
+            type: String,
+            enum: modelRegistry.ids()
+        }],
+
+        status: {
+            type: String,
+            enum: ['processing', 'completed', 'partial', 'failed'],
+            default: 'processing'
+        },
+
+        // Progress, refreshed whenever one of the batch's responses finishes
+        totalRows: { type: Number, default: 0 },
+        progress: {
+            processing: { type: Number, default: 0 },
+            completed: { type: Number, default: 0 },
+            partial: { type: Number, default: 0 },
+            failed: { type: Number, default: 0 }
+        },
+        totalTokensUsed: { type: Number, default: 0 },
+        totalCost: { type: Number, default: 0 },
+
+        // Rows skipped on upload (e.g. empty prompt, missing template variables)
+        skippedRows: [{
+            _id: false,
+            row: { type: Number },
+            reason: { type: String }
+        }],
+
+        finishedAt: { type: Date },
+        createdBy: { type: mongoose.Types.ObjectId, ref: 'User' }
+    },
+    {
+        timestamps: true
+    }
+);
+
+aiBatchSchema.index({ userId: 1, createdAt: -1 });
+
+const AIBatch = model('AIBatch', aiBatchSchema);
+
+export default AIBatch;
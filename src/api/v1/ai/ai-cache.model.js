@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+// Cached model answer for one exact request (see ai-cache.service)
+const aiCacheEntrySchema = new Schema(
+    {
+        key: { type: String, required: true, unique: true }, // sha256 of the request
+        model: { type: String, required: true },
+        apiModel: { type: String },
+        response: { type: String },
+        tokens: {
+            prompt: { type: Number, default: 0 },
+            completion: { type: Number, default: 0 },
+            total: { type: Number, default: 0 }
+        },
+        hits: { type: Number, default: 0 },
+        lastHitAt: { type: Date },
+        expiresAt: { type: Date, required: true }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Entries are purged once they expire
+aiCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AICacheEntry = model('AICacheEntry', aiCacheEntrySchema);
+
+export default AICacheEntry;
@@ -0,0 +1,181 @@
+//libs
+import httpStatus from 'http-status';
+
+//utilities
+import createResponse from '../../../utils/response.js';
+
+//models
+import AIResponse from './ai.model.js';
+
+//services
+import aiFeedback from '../../../services/ai-feedback.service.js';
+import modelRegistry from '../../../services/model-registry.service.js';
+
+//validators
+import {
+    saveFeedbackValidation,
+    feedbackTargetValidation
+} from './ai.validator.js';
+
+/**
+ * Rate one model's answer (thumb, 1-5 rating and/or comment)
+ */
+const saveFeedback = async (req, res) => {
+    try {
+        const { responseId, model } = req.params;
+        const { thumb, rating, comment } = req.body;
+        const userId = req.user._id;
+
+        await saveFeedbackValidation.validate({ responseId, model, thumb, rating, comment });
+
+        const aiResponse = await AIResponse.findOne({ _id: responseId, userId }).lean();
+
+        if (!aiResponse) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'AI response not found'
+            });
+        }
+
+        if (!aiResponse[modelRegistry.responseField(model)]?.response) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: 'Model has no response to rate'
+            });
+        }
+
+        const feedback = await aiFeedback.saveFeedback(aiResponse, model, userId, { thumb, rating, comment });
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Feedback saved successfully',
+            data: { feedback }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to save feedback',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List the user's feedback on an AI response
+ */
+const listFeedback = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        await feedbackTargetValidation.validate({ responseId: id });
+
+        const aiResponse = await AIResponse.exists({ _id: id, userId });
+
+        if (!aiResponse) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'AI response not found'
+            });
+        }
+
+        const feedback = await aiFeedback.listFeedback(id, userId);
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Feedback retrieved successfully',
+            data: { feedback }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to retrieve feedback',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Remove the user's feedback on one model's answer
+ */
+const deleteFeedback = async (req, res) => {
+    try {
+        const { responseId, model } = req.params;
+        const userId = req.user._id;
+
+        await feedbackTargetValidation.validate({ responseId, model });
+
+        const feedback = await aiFeedback.deleteFeedback(responseId, model, userId);
+
+        if (!feedback) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'Feedback not found'
+            });
+        }
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Feedback deleted successfully'
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to delete feedback',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+export const aiFeedbackController = {
+    saveFeedback,
+    listFeedback,
+    deleteFeedback
+};
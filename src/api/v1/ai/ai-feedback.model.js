@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import modelRegistry from '../../../services/model-registry.service';
+
+const { Schema, model } = mongoose;
+
+// A user's feedback on one model's answer in an AI response
+const aiFeedbackSchema = new Schema(
+    {
+        responseId: {
+            type: mongoose.Types.ObjectId,
+            ref: 'AIResponse',
+            required: true
+        },
+        model: {
+            type: String,
+            enum: modelRegistry.ids(),
+            required: true
+        },
+        userId: {
+            type: mongoose.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        // Copied from the AI response so stats can be filtered by project
+        projectId: {
+            type: mongoose.Types.ObjectId,
+            ref: 'Project',
+            default: null
+        },
+
+        thumb: {
+            type: String,
+            enum: ['up', 'down', null],
+            default: null
+        },
+        rating: {
+            type: Number,
+            min: 1,
+            max: 5,
+            default: null
+        },
+        comment: {
+            type: String,
+            trim: true,
+            maxlength: 2000
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// One feedback entry per user, response and model
+aiFeedbackSchema.index({ responseId: 1, model: 1, userId: 1 }, { unique: true });
+aiFeedbackSchema.index({ userId: 1, projectId: 1, createdAt: -1 });
+
+const AIFeedback = model('AIFeedback', aiFeedbackSchema);
+
+export default AIFeedback;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+// Background generation job for a single model of an AI response
+const aiJobSchema = new Schema(
+    {
+        responseId: {
+            type: mongoose.Types.ObjectId,
+            ref: 'AIResponse',
+            required: true
+        },
+        model: { type: String, required: true },
+        userId: { type: mongoose.Types.ObjectId, ref: 'User' },
+        status: {
+            type: String,
+            enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+            default: 'queued'
+        },
+        // true while queued or running; backs the one-active-job-per-model index
+        active: { type: Boolean, default: true },
+
+        // Scheduling
+        runAt: { type: Date, default: Date.now }, // not picked up before this time (retry backoff)
+        attempts: { type: Number, default: 0 },
+        maxAttempts: { type: Number, default: 3 },
+
+        // Lease held by the worker currently running the job
+        lockedBy: { type: String, default: null },
+        lockedUntil: { type: Date, default: null },
+
+        lastError: { type: String, trim: true },
+        finishedAt: { type: Date }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Indexes for claiming jobs and de-duplicating active ones
+aiJobSchema.index({ status: 1, runAt: 1 });
+aiJobSchema.index({ status: 1, lockedUntil: 1 });
+aiJobSchema.index({ responseId: 1, model: 1, status: 1 });
+aiJobSchema.index({ responseId: 1, model: 1 }, { unique: true, partialFilterExpression: { active: true } });
+// Finished jobs are purged after 7 days
+aiJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const AIJob = model('AIJob', aiJobSchema);
+
+export default AIJob;
@@ -0,0 +1,316 @@
+//libs
+import httpStatus from 'http-status';
+
+//utilities
+import createResponse from '../../../utils/response.js';
+import { extractCommonQueryParams } from '../../../utils/requestHelper.js';
+
+//models
+import AIResponse from './ai.model.js';
+import JudgeRubric from './ai-rubric.model.js';
+
+//services
+import aiJudge from '../../../services/ai-judge.service.js';
+
+//validators
+import {
+    createRubricValidation,
+    updateRubricValidation,
+    getRubricValidation,
+    judgeAIResponseValidation
+} from './ai.validator.js';
+
+/**
+ * Create a judge rubric
+ */
+const createRubric = async (req, res) => {
+    try {
+        const payload = req.body;
+        const userId = req.user._id;
+
+        await createRubricValidation.validate(payload, { abortEarly: false });
+
+        const rubric = new JudgeRubric({
+            name: payload.name,
+            description: payload.description,
+            criteria: payload.criteria,
+            scope: payload.scope || 'private',
+            userId,
+            createdBy: userId
+        });
+
+        await rubric.save();
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.CREATED,
+            status: true,
+            message: 'Rubric created successfully',
+            data: { rubric }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to create rubric',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List the rubrics available to the authenticated user (own and shared)
+ */
+const listRubrics = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { limit, skip } = extractCommonQueryParams(req);
+
+        const query = { $or: [{ userId }, { scope: 'shared' }] };
+
+        const [rubrics, totalCount] = await Promise.all([
+            JudgeRubric.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .select('-__v'),
+            JudgeRubric.countDocuments(query)
+        ]);
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Rubrics retrieved successfully',
+            data: {
+                rubrics,
+                count: totalCount,
+                page: Math.floor(skip / limit) + 1,
+                totalPages: Math.ceil(totalCount / limit)
+            }
+        });
+    } catch (error) {
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to retrieve rubrics',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Update a rubric (owner only)
+ */
+const updateRubric = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+        const updateData = req.body;
+
+        await updateRubricValidation.validate({ id, ...updateData }, { abortEarly: false });
+
+        const rubric = await JudgeRubric.findOne({ _id: id, userId });
+
+        if (!rubric) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'Rubric not found'
+            });
+        }
+
+        // Update fields
+        if (updateData.name) rubric.name = updateData.name;
+        if (updateData.description !== undefined) rubric.description = updateData.description;
+        if (updateData.criteria) rubric.criteria = updateData.criteria;
+        if (updateData.scope) rubric.scope = updateData.scope;
+
+        rubric.updatedBy = userId;
+        await rubric.save();
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Rubric updated successfully',
+            data: { rubric }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to update rubric',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Delete a rubric (owner only)
+ */
+const deleteRubric = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        await getRubricValidation.validate({ id });
+
+        const rubric = await JudgeRubric.findOneAndDelete({ _id: id, userId });
+
+        if (!rubric) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'Rubric not found'
+            });
+        }
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Rubric deleted successfully'
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to delete rubric',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * (Re-)run the judge on an AI response
+ */
+const judgeAIResponse = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { model, rubricId, autoSelect } = req.body;
+        const userId = req.user._id;
+
+        await judgeAIResponseValidation.validate({ id, model, rubricId, autoSelect });
+
+        const aiResponse = await AIResponse.findOne({ _id: id, userId }).lean();
+
+        if (!aiResponse) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'AI response not found'
+            });
+        }
+
+        if (aiResponse.overallStatus === 'processing') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: 'Wait until every model has finished before judging'
+            });
+        }
+
+        if (aiJudge.getCandidates(aiResponse).length === 0) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: 'No successful responses to judge'
+            });
+        }
+
+        if (rubricId && !(await aiJudge.resolveRubric(rubricId, userId))) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'Rubric not found'
+            });
+        }
+
+        const judged = await aiJudge.runJudgement(id, {
+            rubricId,
+            judgeModel: model,
+            autoSelect: !!autoSelect,
+            userId
+        });
+
+        if (!judged) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.CONFLICT,
+                status: false,
+                message: 'A judgement is already running for this response'
+            });
+        }
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'AI response judged successfully',
+            data: { aiResponse: judged }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to judge AI response',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+export const aiJudgeController = {
+    createRubric,
+    listRubrics,
+    updateRubric,
+    deleteRubric,
+    judgeAIResponse
+};
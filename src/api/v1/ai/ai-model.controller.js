@@ -8,7 +8,8 @@ import createResponse from '../../../utils/response.js';
 import AIResponse from './ai.model.js';
 
 //services
-import aiService from '../../../services/ai.service.js';
+import modelRegistry from '../../../services/model-registry.service.js';
+import aiQueue from '../../../services/ai-queue.service.js';
 
 /**
  * Generate response from a single AI model
@@ -19,8 +20,7 @@ const generateSingleModelResponse = async (req, res) => {
         const userId = req.user._id;
 
         // Validate model
-        const validModels = ['gemini', 'openai', 'deepseek', 'microsoft', 'llama'];
-        if (!validModels.includes(model)) {
+        if (!modelRegistry.has(model)) {
             return createResponse({
                 res,
                 statusCode: httpStatus.BAD_REQUEST,
@@ -60,34 +60,15 @@ const generateSingleModelResponse = async (req, res) => {
         aiResponse.updatedBy = userId;
         await aiResponse.save();
 
-        // Return immediately
-        res.status(httpStatus.OK).json({
+        // Queue the generation - progress is published on GET /ai/:id/stream
+        await aiQueue.enqueue(aiResponse._id, [model], { userId });
+
+        return res.status(httpStatus.OK).json({
             status: true,
             message: 'Model response generation initiated',
             data: { aiResponse }
         });
 
-        // Generate response in background
-        try {
-            const result = await aiService.generateSingleModelResponse(
-                model,
-                aiResponse.prompt,
-                aiResponse.settings
-            );
-
-            aiResponse[`${model}_response`] = result;
-            await aiResponse.save();
-        } catch (error) {
-            console.error(`Error generating ${model} response:`, error);
-            aiResponse[`${model}_response`] = {
-                model,
-                status: 'error',
-                errorMessage: error.message || 'Failed to generate response',
-                createdAt: new Date()
-            };
-            await aiResponse.save();
-        }
-
     } catch (error) {
         return createResponse({
             res,
@@ -109,8 +90,7 @@ const updateSingleModelResponse = async (req, res) => {
         const { response } = req.body;
 
         // Validate model
-        const validModels = ['gemini', 'openai', 'deepseek', 'microsoft', 'llama'];
-        if (!validModels.includes(model)) {
+        if (!modelRegistry.has(model)) {
             return createResponse({
                 res,
                 statusCode: httpStatus.BAD_REQUEST,
@@ -182,8 +162,7 @@ const deleteSingleModelResponse = async (req, res) => {
         const userId = req.user._id;
 
         // Validate model
-        const validModels = ['gemini', 'openai', 'deepseek', 'microsoft', 'llama'];
-        if (!validModels.includes(model)) {
+        if (!modelRegistry.has(model)) {
             return createResponse({
                 res,
                 statusCode: httpStatus.BAD_REQUEST,
@@ -236,8 +215,7 @@ const retrySingleModelResponse = async (req, res) => {
         const userId = req.user._id;
 
         // Validate model
-        const validModels = ['gemini', 'openai', 'deepseek', 'microsoft', 'llama'];
-        if (!validModels.includes(model)) {
+        if (!modelRegistry.has(model)) {
             return createResponse({
                 res,
                 statusCode: httpStatus.BAD_REQUEST,
@@ -267,34 +245,15 @@ const retrySingleModelResponse = async (req, res) => {
         aiResponse.updatedBy = userId;
         await aiResponse.save();
 
-        // Return immediately
-        res.status(httpStatus.OK).json({
+        // Queue the generation - progress is published on GET /ai/:id/stream
+        await aiQueue.enqueue(aiResponse._id, [model], { userId });
+
+        return res.status(httpStatus.OK).json({
             status: true,
             message: 'Model response retry initiated',
             data: { aiResponse }
         });
 
-        // Retry in background
-        try {
-            const result = await aiService.generateSingleModelResponse(
-                model,
-                aiResponse.prompt,
-                aiResponse.settings
-            );
-
-            aiResponse[`${model}_response`] = result;
-            await aiResponse.save();
-        } catch (error) {
-            console.error(`Error retrying ${model} response:`, error);
-            aiResponse[`${model}_response`] = {
-                model,
-                status: 'error',
-                errorMessage: error.message || 'Failed to generate response',
-                createdAt: new Date()
-            };
-            await aiResponse.save();
-        }
-
     } catch (error) {
         return createResponse({
             res,
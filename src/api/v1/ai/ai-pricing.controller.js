@@ -0,0 +1,127 @@
+//libs
+import httpStatus from 'http-status';
+
+//utilities
+import createResponse from '../../../utils/response.js';
+
+//services
+import aiPricing from '../../../services/ai-pricing.service.js';
+
+//validators
+import { updatePricingValidation } from './ai.validator.js';
+
+/**
+ * List the effective price of every registered model
+ */
+const listPricing = async (req, res) => {
+    try {
+        const pricing = await aiPricing.listPricing();
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Model pricing retrieved successfully',
+            data: { pricing }
+        });
+    } catch (error) {
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to retrieve model pricing',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Set the price of a model (admin)
+ */
+const updatePricing = async (req, res) => {
+    try {
+        const { model } = req.params;
+        const userId = req.user._id;
+        const { promptPricePer1K, completionPricePer1K } = req.body;
+
+        await updatePricingValidation.validate(
+            { model, promptPricePer1K, completionPricePer1K },
+            { abortEarly: false }
+        );
+
+        const pricing = await aiPricing.updatePricing(
+            model,
+            { promptPricePer1K: Number(promptPricePer1K), completionPricePer1K: Number(completionPricePer1K) },
+            userId
+        );
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Model pricing updated successfully',
+            data: { pricing }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to update model pricing',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Remove a model's price override and fall back to the configured default (admin)
+ */
+const resetPricing = async (req, res) => {
+    try {
+        const { model } = req.params;
+
+        await updatePricingValidation.pick(['model']).validate({ model });
+
+        const pricing = await aiPricing.resetPricing(model);
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Model pricing reset successfully',
+            data: { pricing }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to reset model pricing',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+export const aiPricingController = {
+    listPricing,
+    updatePricing,
+    resetPricing
+};
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+// Price override for a registered AI model (USD per 1K tokens)
+const modelPricingSchema = new Schema(
+    {
+        model: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true
+        },
+        promptPricePer1K: { type: Number, required: true, min: 0 },
+        completionPricePer1K: { type: Number, required: true, min: 0 },
+        currency: { type: String, default: 'USD' },
+        createdBy: { type: mongoose.Types.ObjectId, ref: 'User' },
+        updatedBy: { type: mongoose.Types.ObjectId, ref: 'User' },
+    },
+    {
+        timestamps: true
+    }
+);
+
+const ModelPricing = model('ModelPricing', modelPricingSchema);
+
+export default ModelPricing;
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+// Requests counted against one quota policy in one window (see ai-quota.service)
+const quotaUsageSchema = new Schema(
+    {
+        policyId: { type: mongoose.Types.ObjectId, ref: 'QuotaPolicy', required: true },
+        targetId: { type: mongoose.Types.ObjectId, required: true }, // User, or Project for project policies
+        windowStart: { type: Date, required: true },
+        requests: { type: Number, default: 0 }, // Created responses plus reservations in flight
+        expiresAt: { type: Date, required: true } // When the window resets
+    },
+    {
+        timestamps: true
+    }
+);
+
+quotaUsageSchema.index({ policyId: 1, targetId: 1, windowStart: 1 }, { unique: true });
+// Counters are purged once their window has passed
+quotaUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const QuotaUsage = model('QuotaUsage', quotaUsageSchema);
+
+export default QuotaUsage;
@@ -0,0 +1,188 @@
+//libs
+import httpStatus from 'http-status';
+
+//utilities
+import createResponse from '../../../utils/response.js';
+
+//models
+import Project from '../project/project.model.js';
+
+//services
+import aiQuota from '../../../services/ai-quota.service.js';
+
+//validators
+import {
+    getQuotaValidation,
+    upsertQuotaPolicyValidation,
+    deleteQuotaPolicyValidation
+} from './ai.validator.js';
+
+/**
+ * Get remaining quota for the authenticated user (and optionally a project)
+ */
+const getQuota = async (req, res) => {
+    try {
+        const { projectId } = req.query;
+
+        await getQuotaValidation.validate({ projectId });
+
+        // Only the owner may see a project's usage
+        if (projectId && !(await Project.exists({ _id: projectId, userId: req.user._id }))) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'Project not found'
+            });
+        }
+
+        const quotas = await aiQuota.getQuotaStatus(req.user, projectId);
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Quota retrieved successfully',
+            data: {
+                quotas,
+                allowed: quotas.every(quota => !quota.exceeded)
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to retrieve quota',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List quota policies (admin)
+ */
+const listPolicies = async (req, res) => {
+    try {
+        const { scope } = req.query;
+
+        const policies = await aiQuota.listPolicies(scope ? { scope } : {});
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Quota policies retrieved successfully',
+            data: { policies }
+        });
+    } catch (error) {
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to retrieve quota policies',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Create or update a quota policy (admin)
+ */
+const upsertPolicy = async (req, res) => {
+    try {
+        const payload = req.body;
+        const userId = req.user._id;
+
+        await upsertQuotaPolicyValidation.validate(payload, { abortEarly: false });
+
+        const policy = await aiQuota.upsertPolicy(payload, userId);
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Quota policy saved successfully',
+            data: { policy }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to save quota policy',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Delete a quota policy (admin)
+ */
+const deletePolicy = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        await deleteQuotaPolicyValidation.validate({ id });
+
+        const policy = await aiQuota.deletePolicy(id);
+
+        if (!policy) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'Quota policy not found'
+            });
+        }
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Quota policy deleted successfully'
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to delete quota policy',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+export const aiQuotaController = {
+    getQuota,
+    listPolicies,
+    upsertPolicy,
+    deletePolicy
+};
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+// Request/token cap for AI generations over a daily or monthly window
+const quotaPolicySchema = new Schema(
+    {
+        // default: every user, role: users with the role, user: one user, project: all usage in a project
+        scope: {
+            type: String,
+            enum: ['default', 'role', 'user', 'project'],
+            required: true
+        },
+        targetId: {
+            type: mongoose.Types.ObjectId,
+            default: null // Role, User or Project id; null for the default scope
+        },
+        period: {
+            type: String,
+            enum: ['daily', 'monthly'],
+            required: true
+        },
+        maxRequests: { type: Number, min: 0, default: null }, // null = unlimited
+        maxTokens: { type: Number, min: 0, default: null }, // null = unlimited
+        isActive: { type: Boolean, default: true },
+        createdBy: { type: mongoose.Types.ObjectId, ref: 'User' },
+        updatedBy: { type: mongoose.Types.ObjectId, ref: 'User' },
+    },
+    {
+        timestamps: true
+    }
+);
+
+quotaPolicySchema.index({ scope: 1, targetId: 1, period: 1 }, { unique: true });
+
+const QuotaPolicy = model('QuotaPolicy', quotaPolicySchema);
+
+export default QuotaPolicy;
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+const rubricCriterionSchema = new Schema({
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    weight: { type: Number, default: 1, min: 0 }
+}, { _id: false });
+
+// Criteria a judge model scores each answer against
+const judgeRubricSchema = new Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        description: {
+            type: String,
+            trim: true
+        },
+        criteria: [rubricCriterionSchema],
+        // private: owner only, shared: usable (read-only) by every user
+        scope: {
+            type: String,
+            enum: ['private', 'shared'],
+            default: 'private'
+        },
+        userId: {
+            type: mongoose.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+        createdBy: { type: mongoose.Types.ObjectId, ref: 'User' },
+        updatedBy: { type: mongoose.Types.ObjectId, ref: 'User' },
+    },
+    {
+        timestamps: true,
+        toJSON: { getters: true }
+    }
+);
+
+judgeRubricSchema.index({ scope: 1, createdAt: -1 });
+
+const JudgeRubric = model('JudgeRubric', judgeRubricSchema);
+
+export default JudgeRubric;
@@ -0,0 +1,318 @@
+//libs
+import httpStatus from 'http-status';
+
+//utilities
+import createResponse from '../../../utils/response.js';
+import { extractCommonQueryParams } from '../../../utils/requestHelper.js';
+
+//models
+import PromptTemplate from './ai-template.model.js';
+
+//services
+import aiTemplate from '../../../services/ai-template.service.js';
+
+//validators
+import {
+    createTemplateValidation,
+    updateTemplateValidation,
+    getTemplateValidation,
+    listTemplatesValidation
+} from './ai.validator.js';
+
+/**
+ * Create a prompt template
+ */
+const createTemplate = async (req, res) => {
+    try {
+        const payload = req.body;
+        const userId = req.user._id;
+
+        await createTemplateValidation.validate(payload, { abortEarly: false });
+
+        const template = new PromptTemplate({
+            name: payload.name,
+            description: payload.description,
+            content: payload.content,
+            variables: aiTemplate.buildVariables(payload.content, payload.variables),
+            settings: payload.settings || {},
+            scope: payload.scope || 'private',
+            userId,
+            createdBy: userId
+        });
+
+        await template.save();
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.CREATED,
+            status: true,
+            message: 'Template created successfully',
+            data: { template }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to create template',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List templates available to the authenticated user
+ */
+const listTemplates = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { limit, skip, search } = extractCommonQueryParams(req);
+        const { scope = 'all' } = req.query;
+
+        await listTemplatesValidation.validate({
+            ...req.query,
+            page: Math.floor(skip / limit) + 1,
+            limit
+        });
+
+        let query;
+        if (scope === 'mine') {
+            query = { userId };
+        } else if (scope === 'shared') {
+            query = { scope: 'shared' };
+        } else {
+            query = aiTemplate.accessibleQuery(userId);
+        }
+
+        if (search) {
+            query.$text = { $search: search };
+        }
+
+        const [templates, totalCount] = await Promise.all([
+            PromptTemplate.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .select('-__v'),
+            PromptTemplate.countDocuments(query)
+        ]);
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Templates retrieved successfully',
+            data: {
+                templates,
+                count: totalCount,
+                page: Math.floor(skip / limit) + 1,
+                totalPages: Math.ceil(totalCount / limit)
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to retrieve templates',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get a single template (own or shared)
+ */
+const getTemplate = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        await getTemplateValidation.validate({ id });
+
+        const template = await aiTemplate.findAccessible(id, userId);
+
+        if (!template) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'Template not found'
+            });
+        }
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Template retrieved successfully',
+            data: { template }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to retrieve template',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Update a template (owner only)
+ * Changing content, variables or settings bumps the version.
+ */
+const updateTemplate = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+        const updateData = req.body;
+
+        await updateTemplateValidation.validate({ id, ...updateData }, { abortEarly: false });
+
+        const template = await PromptTemplate.findOne({ _id: id, userId });
+
+        if (!template) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'Template not found'
+            });
+        }
+
+        // Update fields
+        if (updateData.name) template.name = updateData.name;
+        if (updateData.description !== undefined) template.description = updateData.description;
+        if (updateData.scope) template.scope = updateData.scope;
+
+        const changesOutput = updateData.content !== undefined
+            || updateData.variables !== undefined
+            || updateData.settings !== undefined;
+
+        if (updateData.content !== undefined || updateData.variables !== undefined) {
+            template.content = updateData.content ?? template.content;
+            template.variables = aiTemplate.buildVariables(
+                template.content,
+                updateData.variables ?? template.variables
+            );
+        }
+        if (updateData.settings) {
+            template.settings = { ...template.settings.toObject(), ...updateData.settings };
+        }
+        if (changesOutput) {
+            template.version += 1;
+        }
+
+        template.updatedBy = userId;
+        await template.save();
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Template updated successfully',
+            data: { template }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to update template',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Delete a template (owner only)
+ */
+const deleteTemplate = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        await getTemplateValidation.validate({ id });
+
+        const template = await PromptTemplate.findOneAndDelete({ _id: id, userId });
+
+        if (!template) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'Template not found'
+            });
+        }
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Template deleted successfully'
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to delete template',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+export const aiTemplateController = {
+    createTemplate,
+    listTemplates,
+    getTemplate,
+    updateTemplate,
+    deleteTemplate
+};
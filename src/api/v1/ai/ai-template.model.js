@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import modelRegistry from '../../../services/model-registry.service';
+
+const { Schema, model } = mongoose;
+
+const templateVariableSchema = new Schema({
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    defaultValue: { type: String, default: null }, // Used when no value is supplied
+    required: { type: Boolean, default: true }
+}, { _id: false });
+
+// Reusable prompt with {{variable}} placeholders
+const promptTemplateSchema = new Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        description: {
+            type: String,
+            trim: true
+        },
+        content: {
+            type: String,
+            required: true
+        },
+        variables: [templateVariableSchema],
+
+        // Default generation settings (request settings take precedence)
+        settings: {
+            temperature: { type: Number, min: 0, max: 2 },
+            maxTokens: { type: Number },
+            enabledModels: [{
+                type: String,
+                enum: modelRegistry.ids()
+            }]
+        },
+
+        // private: owner only, shared: usable (read-only) by every user
+        scope: {
+            type: String,
+            enum: ['private', 'shared'],
+            default: 'private'
+        },
+        userId: {
+            type: mongoose.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true
+        },
+        // Bumped whenever content, variables or settings change
+        version: { type: Number, default: 1 },
+        createdBy: { type: mongoose.Types.ObjectId, ref: 'User' },
+        updatedBy: { type: mongoose.Types.ObjectId, ref: 'User' },
+    },
+    {
+        timestamps: true,
+        toJSON: { getters: true }
+    }
+);
+
+// Indexes
+promptTemplateSchema.index({ scope: 1, createdAt: -1 });
+promptTemplateSchema.index({ name: 'text', description: 'text' });
+
+const PromptTemplate = model('PromptTemplate', promptTemplateSchema);
+
+export default PromptTemplate;
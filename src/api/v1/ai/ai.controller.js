@@ -1,5 +1,6 @@
 //libs
 import httpStatus from 'http-status';
+import mongoose from 'mongoose';
 
 //utilities
 import createResponse from '../../../utils/response';
@@ -10,6 +11,22 @@ import AIResponse from './ai.model';
 
 //services
 import aiService from '../../../services/ai.service';
+import modelRegistry from '../../../services/model-registry.service';
+import aiStream from '../../../services/ai-stream.service';
+import aiQueue from '../../../services/ai-queue.service';
+import aiConversation from '../../../services/ai-conversation.service';
+import userApiKeys from '../../../services/user-api-key.service';
+import aiTemplate from '../../../services/ai-template.service';
+import aiSynthesis from '../../../services/ai-synthesis.service';
+import aiCompare from '../../../services/ai-compare.service';
+import aiFeedback from '../../../services/ai-feedback.service';
+import aiAttachment from '../../../services/ai-attachment.service';
+import knowledge from '../../../services/knowledge.service';
+import aiTools from '../../../services/ai-tools.service';
+import aiModeration from '../../../services/ai-moderation.service';
+import aiSearch from '../../../services/ai-search.service';
+import aiRequest from '../../../services/ai-request.service';
+import aiQuota from '../../../services/ai-quota.service';
 
 //validators
 import {
@@ -19,6 +36,12 @@ import {
     updateModelResponseValidation,
     deleteAIResponseValidation,
     getAIStatsValidation,
+    getThreadValidation,
+    forkAIResponseValidation,
+    getProjectTreeValidation,
+    synthesizeAIResponseValidation,
+    compareAIResponseValidation,
+    searchAIResponsesValidation,
     selectPreferredResponseValidation
 } from './ai.validator';
 
@@ -26,6 +49,8 @@ import {
  * Generate responses from multiple AI models
  */
 const generateAIResponse = async (req, res) => {
+    // Quota reservation, given back if the response is never created
+    let reservation = null;
     try {
         const payload = req.body;
         const userId = req.user._id;
@@ -35,39 +60,94 @@ const generateAIResponse = async (req, res) => {
         // Validate payload
         await generateAIResponseValidation.validate(payload, { abortEarly: false });
 
-        let { prompt, projectId, previousResponseId, settings = {} } = payload;
+        let { prompt, projectId, previousResponseId, parentModel, templateId, variables = {}, attachments = [], settings = {} } = payload;
 
-        // Auto-create default project if not provided
-        if (!projectId) {
-            const Project = (await import('../project/project.model.js')).default;
-
-            // Use first part of prompt as project name (max 50 chars)
-            const projectName = prompt.length > 50
-                ? prompt.substring(0, 50) + '...'
-                : prompt;
-
-            const defaultProject = new Project({
-                name: projectName,
-                userId,
-                createdBy: userId,
-                settings: {
-                    temperature: 0.7,
-                    maxTokens: 2000,
-                    enabledModels: ['gemini', 'openai', 'deepseek', 'microsoft', 'llama']
-                }
-            });
-            await defaultProject.save();
+        // Render the prompt from a template; request settings override its defaults
+        let template = null;
+        if (templateId) {
+            template = await aiTemplate.findAccessible(templateId, userId);
+
+            if (!template) {
+                return createResponse({
+                    res,
+                    statusCode: httpStatus.NOT_FOUND,
+                    status: false,
+                    message: 'Template not found'
+                });
+            }
+
+            const missing = aiTemplate.getMissingVariables(template, variables);
+            if (missing.length > 0) {
+                return createResponse({
+                    res,
+                    statusCode: httpStatus.BAD_REQUEST,
+                    status: false,
+                    message: `Missing template variables: ${missing.join(', ')}`,
+                    error: { missingVariables: missing }
+                });
+            }
+
+            prompt = aiTemplate.render(template, variables).trim();
+            settings = { ...aiTemplate.getDefaultSettings(template), ...settings };
+
+            if (!prompt || prompt.length > 10000) {
+                return createResponse({
+                    res,
+                    statusCode: httpStatus.BAD_REQUEST,
+                    status: false,
+                    message: 'Rendered prompt must be between 1 and 10000 characters'
+                });
+            }
+        }
+
+        // Follow-ups may only continue the user's own responses; branching also
+        // needs the chosen answer to exist on the previous response
+        if (previousResponseId) {
+            const parentResponse = await AIResponse.findOne({ _id: previousResponseId, userId })
+                .select(parentModel ? `${parentModel}_response` : '_id')
+                .lean();
+
+            if (!parentResponse) {
+                return createResponse({
+                    res,
+                    statusCode: httpStatus.NOT_FOUND,
+                    status: false,
+                    message: 'Previous response not found'
+                });
+            }
 
-            projectId = defaultProject._id;
+            if (parentModel && !parentResponse[`${parentModel}_response`]?.response) {
+                return createResponse({
+                    res,
+                    statusCode: httpStatus.BAD_REQUEST,
+                    status: false,
+                    message: 'Previous response has no answer from the selected parent model'
+                });
+            }
+        }
+
+        // Quotas, project access, system prompt and moderation policy; without a
+        // projectId a default project is created once the request has passed every check
+        const prepared = await aiRequest.prepare({ user: req.user, projectId, settings });
+        if (prepared.error) {
+            const { message, quotas, retryAfter } = prepared.error;
+            if (retryAfter) res.set('Retry-After', String(retryAfter));
+            return createResponse({
+                res,
+                statusCode: quotas ? httpStatus.TOO_MANY_REQUESTS : httpStatus.NOT_FOUND,
+                status: false,
+                message,
+                error: quotas && { quotas }
+            });
         }
+        settings = prepared.settings;
 
         // Get enabled models from settings or use defaults
-        const enabledModels = settings.enabledModels || ['gemini', 'openai', 'deepseek', 'microsoft', 'llama'];
-        const availableProviders = aiService.getEnabledProviders();
-        const availableModelNames = availableProviders.map(p => p.key);
+        const enabledModels = settings.enabledModels || modelRegistry.ids();
+        const availableModelNames = await aiService.getAvailableModels(userId);
 
         // Filter enabled models to only include available ones
-        const modelsToUse = enabledModels.filter(model => availableModelNames.includes(model));
+        let modelsToUse = enabledModels.filter(model => availableModelNames.includes(model));
 
         if (modelsToUse.length === 0) {
             return createResponse({
@@ -78,6 +158,80 @@ const generateAIResponse = async (req, res) => {
             });
         }
 
+        // Download documents and resolve canvas images; image prompts skip models without vision
+        const resolved = await aiAttachment.resolve(attachments, { projectId, userId });
+        if (resolved.error) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: resolved.error
+            });
+        }
+
+        // Check the prompt and attached documents against the moderation policy
+        const moderation = aiModeration.checkInput([
+            { source: 'prompt', text: prompt },
+            ...resolved.attachments
+                .filter(attachment => attachment.type === 'document')
+                .map(attachment => ({ source: attachment.name, text: attachment.extractedText }))
+        ], settings.moderation);
+
+        if (moderation.blocked) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: `Prompt blocked by moderation policy: ${aiModeration.describeFindings(moderation.findings)}`,
+                error: { findings: moderation.findings }
+            });
+        }
+
+        let skippedModels = [];
+        if (aiAttachment.hasImages(resolved.attachments)) {
+            skippedModels = modelsToUse.filter(model => !aiAttachment.supportsImages(model));
+            modelsToUse = modelsToUse.filter(model => aiAttachment.supportsImages(model));
+
+            if (modelsToUse.length === 0) {
+                return createResponse({
+                    res,
+                    statusCode: httpStatus.BAD_REQUEST,
+                    status: false,
+                    message: 'None of the selected models accept image attachments'
+                });
+            }
+        }
+
+        // Reserve the request against the quotas now that it passed every check
+        const reserved = await aiRequest.reserve({ user: req.user, projectId });
+        if (reserved.error) {
+            const { message, quotas, retryAfter } = reserved.error;
+            res.set('Retry-After', String(retryAfter));
+            return createResponse({
+                res,
+                statusCode: httpStatus.TOO_MANY_REQUESTS,
+                status: false,
+                message,
+                error: { quotas }
+            });
+        }
+        reservation = reserved.reservation;
+
+        // Auto-create default project if not provided, named after the prompt
+        if (!projectId) {
+            projectId = (await aiRequest.createDefaultProject(userId, prompt))._id;
+        }
+
+        // Retrieve the most relevant excerpts of the project's knowledge documents
+        let citations = [];
+        if (settings.knowledge?.enabled !== false) {
+            try {
+                citations = await knowledge.search(projectId, userId, prompt, { topK: settings.knowledge?.topK });
+            } catch (error) {
+                console.error('[Knowledge] Retrieval failed, generating without context:', error);
+            }
+        }
+
         // Create initial AI response record with pending status for all models
         const aiResponse = new AIResponse({
             prompt,
@@ -92,6 +246,23 @@ const generateAIResponse = async (req, res) => {
             ipAddress,
             userAgent,
             previousResponseId: previousResponseId || null,
+            parentModel: parentModel || null,
+            attachments: resolved.attachments,
+            citations,
+            moderationLog: moderation.findings.length > 0
+                ? [{ stage: 'input', action: settings.moderation.action, findings: moderation.findings }]
+                : [],
+            template: template
+                ? {
+                    templateId: template._id,
+                    version: template.version,
+                    variables: Object.fromEntries(
+                        Object.entries(variables)
+                            .filter(([, value]) => value !== null && value !== undefined)
+                            .map(([name, value]) => [name, String(value)])
+                    )
+                }
+                : undefined,
             selectedModel: (previousResponseId && modelsToUse.length === 1) ? modelsToUse[0] : null,
             createdBy: userId
         });
@@ -107,22 +278,23 @@ const generateAIResponse = async (req, res) => {
         });
 
         await aiResponse.save();
+        reservation = null;
+
+        // Queue one background job per model - the client follows progress
+        // via GET /ai/:id/stream or by polling GET /ai/:id
+        await aiQueue.enqueue(aiResponse._id, modelsToUse, { userId });
 
-        // Return immediately - models will be generated independently
-        // Send the response ID back to client for polling
-        res.status(httpStatus.CREATED).json({
+        return res.status(httpStatus.CREATED).json({
             status: true,
             message: 'AI response generation initiated',
-            data: { aiResponse }
-        });
-
-        // Generate responses from all models independently (don't await)
-        generateIndependentResponses(aiResponse._id, prompt, modelsToUse, {
-            ...settings,
-            previousResponseId: previousResponseId || null
+            data: skippedModels.length > 0 ? { aiResponse, skippedModels } : { aiResponse }
         });
 
     } catch (error) {
+        if (reservation) {
+            await aiQuota.release(reservation).catch(releaseError =>
+                console.error('[Quota] Error releasing reservation:', releaseError));
+        }
         if (error.name === 'ValidationError') {
             return createResponse({
                 res,
@@ -142,57 +314,6 @@ const generateAIResponse = async (req, res) => {
     }
 };
 
-/**
- * Generate responses from all models independently (background process)
- */
-const generateIndependentResponses = async (responseId, prompt, models, settings) => {
-    // Generate each model response independently without waiting for others
-    models.forEach(async (model) => {
-        try {
-            console.log(`[Controller] Starting generation for ${model}`);
-            const result = await aiService.generateSingleModelResponse(model, prompt, settings);
-
-            console.log(`[Controller] ${model} generation completed:`, {
-                status: result.status,
-                hasResponse: !!result.response,
-                errorMessage: result.errorMessage || 'none'
-            });
-
-            // Update just this model's response
-            await AIResponse.findByIdAndUpdate(
-                responseId,
-                {
-                    [`${model}_response`]: {
-                        ...result,
-                        createdAt: result.createdAt || new Date()
-                    },
-                    updatedAt: new Date()
-                },
-                { new: true }
-            );
-        } catch (error) {
-            console.error(`[Controller] Error generating ${model} response:`, error);
-            // Update this model's response with error
-            await AIResponse.findByIdAndUpdate(
-                responseId,
-                {
-                    [`${model}_response`]: {
-                        model,
-                        status: 'error',
-                        response: '',
-                        errorMessage: error.message || 'Failed to generate response',
-                        tokens: { prompt: 0, completion: 0, total: 0 },
-                        responseTime: 0,
-                        createdAt: new Date()
-                    },
-                    updatedAt: new Date()
-                },
-                { new: true }
-            );
-        }
-    });
-};
-
 /**
  * Get all AI responses for authenticated user
  */
@@ -227,7 +348,7 @@ const listAIResponses = async (req, res) => {
             query[modelField] = { $exists: true };
         }
 
-        // Search in prompts
+        // Search prompts and answers (text index)
         if (search) {
             query.$text = { $search: search };
         }
@@ -253,13 +374,9 @@ const listAIResponses = async (req, res) => {
             console.log(`[ListResponses] ID: ${r._id}`);
             console.log(`[ListResponses] Selected: ${r.selectedModel}`);
             console.log(`[ListResponses] Enabled: ${r.settings?.enabledModels}`);
-            console.log(`[ListResponses] Models Present:`, {
-                gemini: !!r.gemini_response,
-                openai: !!r.openai_response,
-                deepseek: !!r.deepseek_response,
-                microsoft: !!r.microsoft_response,
-                llama: !!r.llama_response
-            });
+            console.log(`[ListResponses] Models Present:`, Object.fromEntries(
+                modelRegistry.ids().map(m => [m, !!r[`${m}_response`]])
+            ));
         });
 
         // Get total count for pagination
@@ -348,6 +465,400 @@ const getAIResponse = async (req, res) => {
     }
 };
 
+/**
+ * Compare the model answers of an AI response (similarity, diff, rankings, clusters)
+ */
+const compareAIResponse = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        const { a, b, granularity, threshold } = await compareAIResponseValidation.validate({ id, ...req.query });
+
+        const aiResponse = await AIResponse.findOne({
+            _id: id,
+            userId
+        }).lean();
+
+        if (!aiResponse) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'AI response not found'
+            });
+        }
+
+        const answers = aiCompare.getAnswers(aiResponse);
+        const missing = [a, b].find(model => model && !answers[model]);
+        if (missing) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: `Model ${missing} has no response to compare`
+            });
+        }
+
+        const comparison = aiCompare.compare(aiResponse, { a, b, granularity, threshold });
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'AI responses compared successfully',
+            data: { comparison }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to compare AI responses',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Full-text search across the user's prompts and model answers, with
+ * highlighted snippets and facet counts
+ */
+const searchAIResponses = async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const params = await searchAIResponsesValidation.validate(req.query);
+
+        const search = await aiSearch.search(userId, params);
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Search completed successfully',
+            data: search
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to search AI responses',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get the conversation thread ending with an AI response (oldest turn first)
+ */
+const getThread = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        await getThreadValidation.validate({ id });
+
+        const thread = await aiConversation.getThread(id, { userId });
+
+        if (thread.length === 0) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'AI response not found'
+            });
+        }
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Conversation thread retrieved successfully',
+            data: {
+                thread,
+                count: thread.length,
+                rootResponseId: thread[0]._id
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to retrieve conversation thread',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Fork a new prompt from an existing response
+ * Optionally continues from one specific model's answer (body.model)
+ */
+const forkAIResponse = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { model } = req.body;
+        const userId = req.user._id;
+
+        await forkAIResponseValidation.validate({ id, model });
+
+        const parentResponse = await AIResponse.findOne({ _id: id, userId })
+            .select('projectId')
+            .lean();
+
+        if (!parentResponse) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'AI response not found'
+            });
+        }
+
+        // A fork is a regular generation chained to the parent
+        req.body = {
+            ...req.body,
+            projectId: parentResponse.projectId?.toString(),
+            previousResponseId: id,
+            parentModel: model
+        };
+        delete req.body.model;
+
+        return generateAIResponse(req, res);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to fork AI response',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List the direct children (follow-ups and forks) of a response
+ */
+const listChildren = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        await getAIResponseValidation.validate({ id });
+
+        const children = await aiConversation.getChildren(id, { userId });
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Child responses retrieved successfully',
+            data: {
+                children,
+                count: children.length
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to retrieve child responses',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get all responses of a project as a nested conversation tree
+ */
+const getProjectTree = async (req, res) => {
+    try {
+        const { projectId } = req.params;
+        const userId = req.user._id;
+
+        await getProjectTreeValidation.validate({ projectId });
+
+        const tree = await aiConversation.getProjectTree(projectId, { userId });
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Conversation tree retrieved successfully',
+            data: { tree }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to retrieve conversation tree',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Stream generation progress for an AI response as Server-Sent Events
+ *
+ * Events: snapshot (current document), delta ({ model, content }),
+ * model-retry ({ model, attempt, nextRunAt } - discard that model's deltas so far),
+ * model-complete ({ model, response }), model-error ({ model, errorMessage })
+ * and done ({ overallStatus, ... }) after which the stream is closed.
+ */
+const streamAIResponse = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        await getAIResponseValidation.validate({ id });
+
+        const exists = await AIResponse.exists({ _id: id, userId });
+
+        if (!exists) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'AI response not found'
+            });
+        }
+
+        res.writeHead(httpStatus.OK, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+        });
+
+        const writeEvent = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        let closed = false;
+        const forward = ({ event, data }) => {
+            if (closed) return;
+            writeEvent(event, data);
+            if (event === 'done') finish();
+        };
+
+        // Subscribe before reading the snapshot so no event is missed in between;
+        // events arriving while it is read are held and sent after it
+        let held = [];
+        const unsubscribe = aiStream.subscribe(id, (message) => (held ? held.push(message) : forward(message)));
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+        const cleanup = () => {
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe();
+        };
+        const finish = () => {
+            cleanup();
+            res.end();
+        };
+        req.on('close', cleanup);
+
+        const aiResponse = await AIResponse.findOne({ _id: id, userId }).select('-__v');
+
+        // Deleted in the meantime
+        if (!aiResponse) {
+            finish();
+            return;
+        }
+
+        writeEvent('snapshot', { aiResponse });
+
+        // Nothing left to stream for a finished response
+        if (aiResponse.overallStatus !== 'processing') {
+            writeEvent('done', aiStream.getDonePayload(aiResponse));
+            finish();
+            return;
+        }
+
+        const missed = held;
+        held = null;
+        missed.forEach(forward);
+    } catch (error) {
+        if (res.headersSent) {
+            return res.end();
+        }
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to stream AI response',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
 /**
  * Update a specific model response (for manual corrections or retries)
  */
@@ -431,6 +942,8 @@ const deleteAIResponse = async (req, res) => {
             });
         }
 
+        await aiFeedback.deleteForResponse(aiResponse._id);
+
         return createResponse({
             res,
             statusCode: httpStatus.OK,
@@ -463,12 +976,17 @@ const deleteAIResponse = async (req, res) => {
 const getAIStats = async (req, res) => {
     try {
         const userId = req.user._id;
-        const { startDate, endDate, model } = req.query;
+        const { startDate, endDate, model, projectId } = req.query;
 
         await getAIStatsValidation.validate(req.query);
 
         let matchQuery = { userId };
 
+        // Project filter
+        if (projectId) {
+            matchQuery.projectId = new mongoose.Types.ObjectId(projectId);
+        }
+
         // Date range filter
         if (startDate || endDate) {
             matchQuery.createdAt = {};
@@ -508,7 +1026,7 @@ const getAIStats = async (req, res) => {
 
         // Get model-specific stats
         const modelStats = {};
-        const models = ['gemini', 'openai', 'deepseek', 'microsoft', 'llama'];
+        const models = modelRegistry.ids();
 
         for (const modelName of models) {
             const modelPipeline = [
@@ -523,7 +1041,21 @@ const getAIStats = async (req, res) => {
                         _id: null,
                         successfulResponses: { $sum: 1 },
                         totalTokens: { $sum: `$${modelName}_response.tokens.total` },
-                        avgResponseTime: { $avg: `$${modelName}_response.responseTime` }
+                        totalCost: { $sum: `$${modelName}_response.cost` },
+                        avgResponseTime: { $avg: `$${modelName}_response.responseTime` },
+                        cacheHits: {
+                            $sum: { $cond: [{ $eq: [`$${modelName}_response.cache.hit`, true] }, 1, 0] }
+                        },
+                        cacheSavedTokens: { $sum: `$${modelName}_response.cache.savedTokens` },
+                        fallbackResponses: {
+                            $sum: {
+                                $cond: [
+                                    { $ne: [{ $ifNull: [`$${modelName}_response.actualModel`, modelName] }, modelName] },
+                                    1,
+                                    0
+                                ]
+                            }
+                        }
                     }
                 }
             ];
@@ -532,11 +1064,94 @@ const getAIStats = async (req, res) => {
             modelStats[modelName] = modelStat || {
                 successfulResponses: 0,
                 totalTokens: 0,
-                avgResponseTime: 0
+                totalCost: 0,
+                avgResponseTime: 0,
+                cacheHits: 0,
+                cacheSavedTokens: 0,
+                fallbackResponses: 0
             };
+            modelStats[modelName].cacheHitRate = modelStats[modelName].successfulResponses > 0
+                ? modelStats[modelName].cacheHits / modelStats[modelName].successfulResponses
+                : 0;
         }
 
-        // Get provider status
+        // Response cache hit-rate across models (share of successful answers served from the cache)
+        const cacheTotals = Object.values(modelStats).reduce((totals, modelStat) => ({
+            hits: totals.hits + modelStat.cacheHits,
+            responses: totals.responses + modelStat.successfulResponses,
+            savedTokens: totals.savedTokens + modelStat.cacheSavedTokens
+        }), { hits: 0, responses: 0, savedTokens: 0 });
+        const cache = {
+            ...cacheTotals,
+            hitRate: cacheTotals.responses > 0 ? cacheTotals.hits / cacheTotals.responses : 0
+        };
+
+        // Cost breakdown by model, judge, project and day (UTC)
+        // byModel counts every answer that was billed, whatever its status
+        const costMatch = { ...matchQuery, ...modelFilter };
+        const [billed, byProject, byDay] = await Promise.all([
+            AIResponse.aggregate([
+                { $match: costMatch },
+                {
+                    $group: {
+                        _id: null,
+                        ...Object.fromEntries(models.map(modelName => [
+                            modelName,
+                            { $sum: { $ifNull: [`$${modelName}_response.cost`, 0] } }
+                        ])),
+                        judge: { $sum: { $ifNull: ['$judgement.cost', 0] } }
+                    }
+                }
+            ]),
+            AIResponse.aggregate([
+                { $match: costMatch },
+                {
+                    $group: {
+                        _id: '$projectId',
+                        totalCost: { $sum: '$totalCost' },
+                        totalTokensUsed: { $sum: '$totalTokensUsed' },
+                        totalRequests: { $sum: 1 }
+                    }
+                },
+                { $lookup: { from: 'projects', localField: '_id', foreignField: '_id', as: 'project' } },
+                {
+                    $project: {
+                        _id: 0,
+                        projectId: '$_id',
+                        projectName: { $arrayElemAt: ['$project.name', 0] },
+                        totalCost: 1,
+                        totalTokensUsed: 1,
+                        totalRequests: 1
+                    }
+                },
+                { $sort: { totalCost: -1 } }
+            ]),
+            AIResponse.aggregate([
+                { $match: costMatch },
+                {
+                    $group: {
+                        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                        totalCost: { $sum: '$totalCost' },
+                        totalTokensUsed: { $sum: '$totalTokensUsed' },
+                        totalRequests: { $sum: 1 }
+                    }
+                },
+                { $project: { _id: 0, date: '$_id', totalCost: 1, totalTokensUsed: 1, totalRequests: 1 } },
+                { $sort: { date: 1 } }
+            ])
+        ]);
+
+        const costBreakdown = {
+            byModel: Object.fromEntries(models.map(modelName => [modelName, billed[0]?.[modelName] || 0])),
+            judge: billed[0]?.judge || 0,
+            byProject,
+            byDay
+        };
+
+        // Ratings and selectedModel win-rates per model
+        const feedback = await aiFeedback.getStats(matchQuery, model);
+
+        // Get provider status, including circuit breaker health
         const providerStatus = aiService.getProviderStatus();
 
         return createResponse({
@@ -555,6 +1170,9 @@ const getAIStats = async (req, res) => {
                     failedRequests: 0
                 },
                 modelStats,
+                costBreakdown,
+                cache,
+                feedback,
                 providerStatus
             }
         });
@@ -578,6 +1196,61 @@ const getAIStats = async (req, res) => {
     }
 };
 
+/**
+ * List registered AI models and their availability
+ */
+const listModels = async (req, res) => {
+    try {
+        const userProviders = await userApiKeys.listProviders(req.user._id);
+        const models = aiService.getProviderStatus().map(model => ({
+            ...model,
+            userKeyConfigured: userProviders.includes(model.keyProvider)
+        }));
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'AI models retrieved successfully',
+            data: { models }
+        });
+    } catch (error) {
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to retrieve AI models',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List the server-side tools models can call and whether each is enabled
+ */
+const listTools = async (req, res) => {
+    try {
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'AI tools retrieved successfully',
+            data: {
+                tools: aiTools.list(),
+                maxIterations: aiTools.maxIterations
+            }
+        });
+    } catch (error) {
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to retrieve AI tools',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
 /**
  * Retry failed model responses
  */
@@ -601,11 +1274,11 @@ const retryFailedResponses = async (req, res) => {
 
         // Get failed models
         const failedModels = [];
-        const models = ['gemini', 'openai', 'deepseek', 'microsoft', 'llama'];
+        const models = modelRegistry.ids();
 
         models.forEach(model => {
             const responseField = `${model}_response`;
-            if (aiResponse[responseField] && aiResponse[responseField].status === 'error') {
+            if (aiResponse[responseField] && ['error', 'invalid_json'].includes(aiResponse[responseField].status)) {
                 failedModels.push(model);
             }
         });
@@ -619,30 +1292,26 @@ const retryFailedResponses = async (req, res) => {
             });
         }
 
-        // Retry failed models
-        const { responses } = await aiService.generateMultiModelResponse(
-            aiResponse.prompt,
-            {
-                ...aiResponse.settings,
-                enabledModels: failedModels
-            }
-        );
-
-        // Update only the failed responses
-        Object.keys(responses).forEach(key => {
-            if (failedModels.some(model => key === `${model}_response`)) {
-                aiResponse[key] = responses[key];
-            }
+        // Reset failed models to pending and queue them again
+        failedModels.forEach(model => {
+            aiResponse[`${model}_response`] = {
+                model,
+                status: 'pending',
+                response: '',
+                createdAt: new Date()
+            };
         });
 
         aiResponse.updatedBy = userId;
         await aiResponse.save();
 
+        await aiQueue.enqueue(aiResponse._id, failedModels, { userId });
+
         return createResponse({
             res,
             statusCode: httpStatus.OK,
             status: true,
-            message: 'Failed responses retried successfully',
+            message: 'Failed responses queued for retry',
             data: { aiResponse }
         });
     } catch (error) {
@@ -666,7 +1335,7 @@ const retryFailedResponses = async (req, res) => {
 };
 
 /**
- * Select a preferred response and remove others
+ * Select a preferred response and hide the others
  */
 
 const selectPreferredResponse = async (req, res) => {
@@ -697,30 +1366,16 @@ const selectPreferredResponse = async (req, res) => {
             console.log('[SelectPreferred] Undoing selection...');
 
             // Determine which models currently exist
-            const models = ['gemini', 'openai', 'deepseek', 'microsoft', 'llama'];
+            const models = modelRegistry.ids();
             const existingModels = models.filter(m => aiResponse[`${m}_response`]);
 
             // Reset selection
             aiResponse.selectedModel = null;
+            aiResponse.selectedBy = null;
             aiResponse.updatedBy = userId;
 
-            // Restore enabled models list
-            // If we have existing models, use them. If not (rare, or logic error), default to all.
-            // Note: Since we deleted response fields on selection, we can't easily "restore" them if they're gone from DB
-            // But we CAN restore the 'settings.enabledModels' list so the UI knows they *could* be there (or prompts re-run)
-            // Actually, if we deleted the data, undoing "selection" won't bring back the text.
-            // BUT, if the user just wants to see what's left, or re-run...
-
-            // Wait, if we deleted the data in the "Done" step, then "Undo" CANNOT restore the text of the deleted models.
-            // This is a trade-off. If we want Undo to fully work, we shouldn't delete the data, just hide it.
-            // But the requirement was "remove others dynamically".
-
-            // If the user wants full persistence + undo, we probably shouldn't delete the data, just rely on 'selectedModel' filter.
-            // However, the user complained it "shows again on refresh", implying the filter logic failed.
-            // So we went with hard deletion.
-            // Now, strict Undo logic implies we just clear the 'selectedModel' flag.
-            // The deleted models will remain deleted.
-
+            // Restore enabled models list - the other answers are kept on selection,
+            // so clearing it brings every alternative back
             aiResponse.settings.enabledModels = existingModels.length > 0 ? existingModels : models;
 
             await aiResponse.save();
@@ -758,26 +1413,19 @@ const selectPreferredResponse = async (req, res) => {
 
         console.log(`[SelectPreferred] Found response, updating (using native driver)...`);
 
-        // Prepare $unset for all other models
-        const models = ['gemini', 'openai', 'deepseek', 'microsoft', 'llama'];
-        const unsetFields = {};
-        models.forEach(m => {
-            if (m !== model) {
-                unsetFields[`${m}_response`] = ""; // Value doesn't matter for $unset
-            }
-        });
-
+        // Other models' answers are kept (hidden via enabledModels) so the
+        // selection can be undone and any alternative can still be forked from
         // Use native MongoDB driver to bypass Mongoose schema re-population/validation issues
         const result = await AIResponse.collection.findOneAndUpdate(
             { _id: aiResponse._id },
             {
                 $set: {
                     selectedModel: model,
+                    selectedBy: 'user',
                     overallStatus: 'completed',
                     updatedBy: userId,
                     'settings.enabledModels': [model]
-                },
-                $unset: unsetFields
+                }
             },
             { returnDocument: 'after' }
         );
@@ -824,14 +1472,102 @@ const selectPreferredResponse = async (req, res) => {
     }
 };
 
+/**
+ * Merge the successful answers into one synthesized response
+ */
+const synthesizeAIResponse = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { model } = req.body;
+        const userId = req.user._id;
+
+        await synthesizeAIResponseValidation.validate({ id, model });
+
+        const aiResponse = await AIResponse.findOne({ _id: id, userId });
+
+        if (!aiResponse) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'AI response not found'
+            });
+        }
+
+        if (aiResponse.overallStatus === 'processing') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: 'Wait until every model has finished before synthesizing'
+            });
+        }
+
+        if (Object.keys(aiResponse.getSuccessfulResponses()).length < 2) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: 'At least two successful responses are needed to synthesize'
+            });
+        }
+
+        const synthesized = await aiSynthesis.synthesize(id, { model, userId });
+
+        if (!synthesized) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.CONFLICT,
+                status: false,
+                message: 'A synthesis is already running for this response'
+            });
+        }
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.CREATED,
+            status: true,
+            message: 'Responses synthesized successfully',
+            data: { aiResponse: synthesized }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to synthesize responses',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
 export const aiController = {
     generateAIResponse,
     listAIResponses,
     getAIResponse,
+    compareAIResponse,
+    searchAIResponses,
+    getThread,
+    forkAIResponse,
+    listChildren,
+    getProjectTree,
+    streamAIResponse,
     updateModelResponse,
     deleteAIResponse,
     getAIStatsValidation,
     retryFailedResponses,
     selectPreferredResponse,
-    getAIStats
+    synthesizeAIResponse,
+    getAIStats,
+    listModels,
+    listTools
 };
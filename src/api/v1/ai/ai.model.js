@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import modelRegistry from '../../../services/model-registry.service';
+import aiModeration from '../../../services/ai-moderation.service';
 
 const { Schema, model } = mongoose;
 
@@ -8,20 +10,66 @@ const aiModelResponseSchema = new Schema({
     response: { type: String, trim: true },
     status: {
         type: String,
-        enum: ['pending', 'success', 'error'],
+        enum: ['pending', 'success', 'error', 'invalid_json'], // invalid_json: output failed settings.responseSchema
         default: 'pending'
     },
     errorMessage: { type: String, trim: true },
+    // JSON output mode (settings.responseSchema)
+    parsedResponse: { type: Schema.Types.Mixed },
+    validationErrors: [{ type: String }],
+    repairAttempts: { type: Number, default: 0 },
     tokens: {
         prompt: { type: Number, default: 0 },
         completion: { type: Number, default: 0 },
         total: { type: Number, default: 0 }
     },
     responseTime: { type: Number, default: 0 }, // in milliseconds
+    cost: { type: Number, default: 0 }, // in USD, from the model's pricing at generation time
+    requestedModel: { type: String }, // Model the user asked for
+    actualModel: { type: String }, // Model that answered (differs when a fallback was used)
+    // Response cache: hit is true when the answer was served from the cache
+    cache: {
+        hit: { type: Boolean },
+        key: { type: String },
+        cachedAt: { type: Date },
+        savedTokens: { type: Number }
+    },
+    // Server-side tools the model called, in call order (see ai-tools.service)
+    toolCalls: [{
+        _id: false,
+        id: { type: String },
+        name: { type: String },
+        arguments: { type: Schema.Types.Mixed },
+        result: { type: String }, // Text sent back to the model (truncated)
+        status: { type: String, enum: ['success', 'error', 'denied'] },
+        errorMessage: { type: String },
+        durationMs: { type: Number },
+        iteration: { type: Number }, // Model turn that requested the call
+        createdAt: { type: Date }
+    }],
     isEdited: { type: Boolean, default: false }, // Track if response was manually edited
     createdAt: { type: Date, default: Date.now }
 }, { _id: false });
 
+// Judge scores for one model's answer
+const judgeScoreSchema = new Schema({
+    model: { type: String, required: true },
+    criteria: [{
+        _id: false,
+        name: { type: String },
+        score: { type: Number }, // 0-10
+        rationale: { type: String }
+    }],
+    total: { type: Number, default: 0 }, // Weighted average of the criteria scores
+    rationale: { type: String }
+}, { _id: false });
+
+// One `<id>_response` field per registered model
+const modelResponseFields = {};
+modelRegistry.responseFields().forEach(field => {
+    modelResponseFields[field] = aiModelResponseSchema;
+});
+
 // Main AI response schema
 const aiResponseSchema = new Schema(
     {
@@ -43,11 +91,7 @@ const aiResponseSchema = new Schema(
             index: true
         },
         // Individual AI model responses
-        gemini_response: aiModelResponseSchema,
-        openai_response: aiModelResponseSchema,
-        deepseek_response: aiModelResponseSchema,
-        microsoft_response: aiModelResponseSchema,
-        llama_response: aiModelResponseSchema,
+        ...modelResponseFields,
 
         // Overall request metadata
         totalModels: { type: Number, default: 0 },
@@ -60,8 +104,49 @@ const aiResponseSchema = new Schema(
             maxTokens: { type: Number, default: 2000 },
             enabledModels: [{
                 type: String,
-                enum: ['gemini', 'openai', 'deepseek', 'microsoft', 'llama']
-            }]
+                enum: modelRegistry.ids()
+            }],
+            // Conversation history sent with follow-up prompts
+            historyTokenBudget: { type: Number },
+            historyStrategy: { type: String, enum: ['truncate', 'summarize'], default: 'truncate' },
+            // System prompt resolved at request time (request override, else the project's)
+            systemPrompt: { type: String },
+            modelSystemPrompts: { type: Map, of: String },
+            // Response cache: noCache bypasses it, cache forces it at any temperature
+            noCache: { type: Boolean, default: false },
+            cache: { type: Boolean, default: false },
+            // Project knowledge base retrieval (on by default when the project has documents)
+            knowledge: {
+                enabled: { type: Boolean, default: true },
+                topK: { type: Number }
+            },
+            // Moderation policy resolved at request time from the project (see ai-moderation.service)
+            moderation: {
+                action: { type: String, enum: aiModeration.actions() },
+                detectors: [{ type: String }],
+                blockList: [{ type: String }],
+                scanResponses: { type: Boolean }
+            },
+            // Server-side tool calling; allowed narrows the server-enabled tools
+            tools: {
+                enabled: { type: Boolean, default: false },
+                allowed: [{ type: String }],
+                maxIterations: { type: Number }
+            },
+            // JSON Schema every model's output must be valid JSON for
+            responseSchema: { type: Schema.Types.Mixed },
+            // Optional judge step once every model has finished
+            judge: {
+                enabled: { type: Boolean, default: false },
+                model: { type: String, enum: modelRegistry.ids() },
+                rubricId: { type: mongoose.Types.ObjectId, ref: 'JudgeRubric' },
+                autoSelect: { type: Boolean, default: false }
+            },
+            // Optional synthesis step once every model has finished
+            synthesis: {
+                enabled: { type: Boolean, default: false },
+                model: { type: String, enum: modelRegistry.ids() }
+            }
         },
 
         // Overall status
@@ -76,6 +161,12 @@ const aiResponseSchema = new Schema(
             type: String,
             default: null
         },
+        // Who picked selectedModel: the user, or the judge's auto-select
+        selectedBy: {
+            type: String,
+            enum: ['user', 'judge', null],
+            default: null
+        },
 
         // Timing information
         startTime: { type: Date, default: Date.now },
@@ -92,7 +183,111 @@ const aiResponseSchema = new Schema(
         previousResponseId: {
             type: mongoose.Types.ObjectId,
             ref: 'AIResponse',
-            required: false
+            required: false,
+            index: true
+        },
+        // Model whose answer in the previous response this prompt continues from (branching)
+        parentModel: {
+            type: String,
+            default: null
+        },
+        // LLM-as-judge scoring of the successful answers
+        judgement: {
+            status: { type: String, enum: ['running', 'completed', 'failed'] },
+            judgeModel: { type: String },
+            rubricId: { type: mongoose.Types.ObjectId, ref: 'JudgeRubric' },
+            rubricName: { type: String },
+            scores: [judgeScoreSchema],
+            winner: { type: String },
+            tokens: {
+                prompt: { type: Number, default: 0 },
+                completion: { type: Number, default: 0 },
+                total: { type: Number, default: 0 }
+            },
+            cost: { type: Number, default: 0 },
+            errorMessage: { type: String },
+            claimedAt: { type: Date }, // When the running judgement was claimed
+            judgedAt: { type: Date }
+        },
+
+        // generation: answers to a prompt, synthesis: merged answer of another response
+        kind: {
+            type: String,
+            enum: ['generation', 'synthesis'],
+            default: 'generation'
+        },
+        synthesizedFrom: {
+            type: mongoose.Types.ObjectId,
+            ref: 'AIResponse',
+            index: true
+        },
+        // Models whose answers a synthesis drew on
+        attributions: [{
+            _id: false,
+            model: { type: String },
+            contribution: { type: String }
+        }],
+        // Latest synthesis of this response
+        synthesis: {
+            status: { type: String, enum: ['running', 'completed', 'failed'] },
+            responseId: { type: mongoose.Types.ObjectId, ref: 'AIResponse' },
+            model: { type: String },
+            errorMessage: { type: String },
+            claimedAt: { type: Date } // When the running synthesis was claimed
+        },
+
+        // Files attached to the prompt; documents keep their extracted text
+        attachments: [{
+            _id: false,
+            type: { type: String, enum: ['image', 'document'], required: true },
+            url: { type: String },
+            nodeId: { type: String }, // Canvas image node the image came from
+            name: { type: String },
+            mimeType: { type: String },
+            size: { type: Number },
+            extractedText: { type: String },
+            truncated: { type: Boolean }
+        }],
+
+        // Moderation findings: on the prompt and attachments (input) and on model answers (output)
+        moderationLog: [{
+            _id: false,
+            stage: { type: String, enum: ['input', 'output'] },
+            model: { type: String },
+            action: { type: String, enum: aiModeration.actions() },
+            findings: [{
+                _id: false,
+                type: { type: String }, // Detector name or 'blocklist'
+                count: { type: Number },
+                source: { type: String } // 'prompt' or the attachment name
+            }],
+            createdAt: { type: Date, default: Date.now }
+        }],
+
+        // Knowledge base excerpts sent with the prompt, numbered [1]..[n] in order
+        citations: [{
+            _id: false,
+            documentId: { type: mongoose.Types.ObjectId, ref: 'KnowledgeDocument' },
+            documentName: { type: String },
+            chunkIndex: { type: Number },
+            score: { type: Number },
+            text: { type: String }
+        }],
+
+        // Batch run this response was created by, and its row in the uploaded file
+        batchId: {
+            type: mongoose.Types.ObjectId,
+            ref: 'AIBatch',
+            default: null,
+            index: true
+        },
+        batchRow: { type: Number },
+
+        // Template the prompt was rendered from, if any
+        template: {
+            templateId: { type: mongoose.Types.ObjectId, ref: 'PromptTemplate' },
+            version: { type: Number },
+            variables: { type: Map, of: String }
         },
         createdBy: { type: mongoose.Types.ObjectId, ref: 'User' },
         updatedBy: { type: mongoose.Types.ObjectId, ref: 'User' },
@@ -107,33 +302,55 @@ const aiResponseSchema = new Schema(
 aiResponseSchema.index({ userId: 1, projectId: 1, createdAt: -1 });
 aiResponseSchema.index({ projectId: 1, createdAt: -1 });
 aiResponseSchema.index({ overallStatus: 1 });
-aiResponseSchema.index({ prompt: 'text' }); // Text search on prompts
+// Text search over the prompt and every model's answer, prompt matches weighted higher.
+// MongoDB allows one text index per collection; aiSearch.ensureTextIndex() replaces an outdated one.
+export const TEXT_INDEX_NAME = 'ai_response_text';
+aiResponseSchema.index(
+    {
+        prompt: 'text',
+        ...Object.fromEntries(modelRegistry.responseFields().map(field => [`${field}.response`, 'text']))
+    },
+    { name: TEXT_INDEX_NAME, weights: { prompt: 3 } }
+);
 
 // Pre-save middleware to update statistics
 aiResponseSchema.pre('save', function (next) {
     // Calculate completed and failed models
-    const modelFields = ['gemini_response', 'openai_response', 'deepseek_response', 'microsoft_response', 'llama_response'];
+    const modelFields = modelRegistry.responseFields();
     let completed = 0;
     let failed = 0;
+    let pending = 0;
     let totalTokens = 0;
+    let totalCost = 0;
 
+    // Totals cover every billed call: failed answers and the judge are charged too
     modelFields.forEach(field => {
+        totalCost += this[field]?.cost || 0;
+        totalTokens += this[field]?.tokens?.total || 0;
         if (this[field] && this[field].status) {
             if (this[field].status === 'success') {
                 completed++;
-                totalTokens += this[field].tokens?.total || 0;
-            } else if (this[field].status === 'error') {
+            } else if (['error', 'invalid_json'].includes(this[field].status)) {
                 failed++;
+            } else if (this[field].status === 'pending') {
+                pending++;
             }
         }
     });
 
+    totalCost += this.judgement?.cost || 0;
+    totalTokens += this.judgement?.tokens?.total || 0;
+
     this.completedModels = completed;
     this.failedModels = failed;
     this.totalTokensUsed = totalTokens;
+    this.totalCost = Math.round(totalCost * 1e6) / 1e6;
 
     // Update overall status
-    if (completed === this.totalModels) {
+    if (pending > 0) {
+        // A model is (re)generating, e.g. after a retry
+        this.overallStatus = 'processing';
+    } else if (completed === this.totalModels) {
         this.overallStatus = 'completed';
         this.endTime = new Date();
         this.totalDuration = this.endTime - this.startTime;
@@ -160,7 +377,7 @@ aiResponseSchema.methods.updateModelResponse = function (modelName, responseData
 };
 
 aiResponseSchema.methods.getSuccessfulResponses = function () {
-    const modelFields = ['gemini_response', 'openai_response', 'deepseek_response', 'microsoft_response', 'llama_response'];
+    const modelFields = modelRegistry.responseFields();
     const successful = {};
 
     modelFields.forEach(field => {
@@ -174,12 +391,12 @@ aiResponseSchema.methods.getSuccessfulResponses = function () {
 };
 
 aiResponseSchema.methods.getFailedResponses = function () {
-    const modelFields = ['gemini_response', 'openai_response', 'deepseek_response', 'microsoft_response', 'llama_response'];
+    const modelFields = modelRegistry.responseFields();
     const failed = {};
 
     modelFields.forEach(field => {
         const modelName = field.replace('_response', '');
-        if (this[field] && this[field].status === 'error') {
+        if (this[field] && ['error', 'invalid_json'].includes(this[field].status)) {
             failed[modelName] = this[field];
         }
     });
@@ -187,6 +404,15 @@ aiResponseSchema.methods.getFailedResponses = function () {
     return failed;
 };
 
+// Static methods
+// Re-run the pre-save statistics after a model field was written with an update query
+aiResponseSchema.statics.refreshStatus = async function (id) {
+    const aiResponse = await this.findById(id);
+    if (!aiResponse) return null;
+    await aiResponse.save();
+    return aiResponse;
+};
+
 const AIResponse = model('AIResponse', aiResponseSchema);
 
 export default AIResponse;
@@ -1,26 +1,85 @@
 import express from 'express';
 import { aiController } from './ai.controller';
 import { aiModelController } from './ai-model.controller';
+import { aiPricingController } from './ai-pricing.controller';
+import { aiQuotaController } from './ai-quota.controller';
+import { aiTemplateController } from './ai-template.controller';
+import { aiJudgeController } from './ai-judge.controller';
+import { aiFeedbackController } from './ai-feedback.controller';
+import { aiBatchController } from './ai-batch.controller';
 import auth from '../../../middlewares/auth.middleware';
+import requireAdmin from '../../../middlewares/admin.middleware';
+import { createRateLimiter } from '../../../middlewares/rate-limiter.middleware';
 
 const router = express.Router();
 
+// Burst protection for endpoints that start generations (quotas cap overall usage)
+const generationLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 30 });
+
 // AI response operations
-router.post('/generate', auth, aiController.generateAIResponse);
+router.post('/generate', auth, generationLimiter, aiController.generateAIResponse);
 router.get('/', auth, aiController.listAIResponses);
 router.get('/stats', auth, aiController.getAIStats);
+router.get('/search', auth, aiController.searchAIResponses);
+router.get('/models', auth, aiController.listModels);
+router.get('/tools', auth, aiController.listTools);
+router.get('/thread/:id', auth, aiController.getThread);
+router.get('/tree/:projectId', auth, aiController.getProjectTree);
+
+// Model pricing (USD per 1K tokens)
+router.get('/pricing', auth, aiPricingController.listPricing);
+router.put('/pricing/:model', auth, requireAdmin, aiPricingController.updatePricing);
+router.delete('/pricing/:model', auth, requireAdmin, aiPricingController.resetPricing);
+
+// Quotas
+router.get('/quota', auth, aiQuotaController.getQuota);
+router.get('/quota/policies', auth, requireAdmin, aiQuotaController.listPolicies);
+router.put('/quota/policies', auth, requireAdmin, aiQuotaController.upsertPolicy);
+router.delete('/quota/policies/:id', auth, requireAdmin, aiQuotaController.deletePolicy);
+
+// Prompt templates
+router.post('/templates', auth, aiTemplateController.createTemplate);
+router.get('/templates', auth, aiTemplateController.listTemplates);
+router.get('/templates/:id', auth, aiTemplateController.getTemplate);
+router.put('/templates/:id', auth, aiTemplateController.updateTemplate);
+router.delete('/templates/:id', auth, aiTemplateController.deleteTemplate);
+
+// Judge rubrics
+router.post('/rubrics', auth, aiJudgeController.createRubric);
+router.get('/rubrics', auth, aiJudgeController.listRubrics);
+router.put('/rubrics/:id', auth, aiJudgeController.updateRubric);
+router.delete('/rubrics/:id', auth, aiJudgeController.deleteRubric);
+
+// Batch runs (one AI response per row of an uploaded CSV/XLSX file)
+router.post('/batch', auth, generationLimiter, aiBatchController.uploadBatchFile, aiBatchController.createBatch);
+router.get('/batch', auth, aiBatchController.listBatches);
+router.get('/batch/:id', auth, aiBatchController.getBatch);
+router.get('/batch/:id/export', auth, aiBatchController.exportBatch);
+
+// Single AI response operations
 router.get('/:id', auth, aiController.getAIResponse);
+router.get('/:id/stream', auth, aiController.streamAIResponse);
+router.get('/:id/compare', auth, aiController.compareAIResponse);
+router.get('/:id/feedback', auth, aiFeedbackController.listFeedback);
 router.put('/:id/model', auth, aiController.updateModelResponse);
 router.delete('/:id', auth, aiController.deleteAIResponse);
 
 // Retry operations
 router.post('/:id/retry', auth, aiController.retryFailedResponses);
 router.post('/:id/select', auth, aiController.selectPreferredResponse);
+router.post('/:id/judge', auth, aiJudgeController.judgeAIResponse);
+router.post('/:id/synthesize', auth, aiController.synthesizeAIResponse);
+
+// Branching
+router.post('/:id/fork', auth, generationLimiter, aiController.forkAIResponse);
+router.get('/:id/children', auth, aiController.listChildren);
 
 // Individual model operations
 router.post('/:responseId/model/:model/generate', auth, aiModelController.generateSingleModelResponse);
 router.put('/:responseId/model/:model', auth, aiModelController.updateSingleModelResponse);
 router.delete('/:responseId/model/:model', auth, aiModelController.deleteSingleModelResponse);
 router.post('/:responseId/model/:model/retry', auth, aiModelController.retrySingleModelResponse);
+router.put('/:responseId/model/:model/feedback', auth, aiFeedbackController.saveFeedback);
+router.delete('/:responseId/model/:model/feedback', auth, aiFeedbackController.deleteFeedback);
 
 export default router;
@@ -1,14 +1,147 @@
 import * as yup from 'yup';
 import mongoose from 'mongoose';
+import modelRegistry from '../../../services/model-registry.service';
+import structuredOutput from '../../../services/ai-structured-output.service';
+import aiTools from '../../../services/ai-tools.service';
+
+// Model names are validated against the provider registry
+const registeredModel = () => yup
+    .string()
+    .test('is-registered-model', 'Invalid model name', (value) => !value || modelRegistry.has(value));
+
+// Generation settings shared by single and batch generation
+const generationSettings = yup.object().shape({
+    temperature: yup
+        .number()
+        .min(0, 'Temperature must be between 0 and 2')
+        .max(2, 'Temperature must be between 0 and 2')
+        .default(0.7),
+
+    maxTokens: yup
+        .number()
+        .min(1, 'Max tokens must be at least 1')
+        .max(8000, 'Max tokens must not exceed 8000')
+        .default(2000),
+
+    enabledModels: yup
+        .array()
+        .of(registeredModel())
+        .min(1, 'At least one model must be enabled')
+        .default(() => modelRegistry.ids())
+        .optional(),
+
+    historyTokenBudget: yup
+        .number()
+        .min(1, 'History token budget must be at least 1')
+        .max(100000, 'History token budget must not exceed 100000')
+        .optional(),
+
+    historyStrategy: yup
+        .string()
+        .oneOf(['truncate', 'summarize'])
+        .optional(),
+
+    // Replaces the project's system prompt for this request ('' sends none)
+    systemPrompt: yup
+        .string()
+        .max(10000, 'System prompt must not exceed 10000 characters')
+        .optional(),
+
+    // Skip the response cache, or use it regardless of temperature
+    noCache: yup
+        .boolean()
+        .optional(),
+
+    cache: yup
+        .boolean()
+        .optional(),
+
+    // Retrieve excerpts from the project knowledge base into the prompt
+    knowledge: yup.object().shape({
+        enabled: yup.boolean().optional(),
+        topK: yup
+            .number()
+            .integer('topK must be an integer')
+            .min(1, 'topK must be at least 1')
+            .max(20, 'topK must not exceed 20')
+            .optional()
+    }).optional(),
+
+    // Let models call server-side tools
+    tools: yup.object().shape({
+        enabled: yup.boolean().optional(),
+        allowed: yup
+            .array()
+            .of(yup.string().oneOf(aiTools.names(), `Tool must be one of: ${aiTools.names().join(', ')}`))
+            .optional(),
+        maxIterations: yup
+            .number()
+            .integer('maxIterations must be an integer')
+            .min(1, 'maxIterations must be at least 1')
+            .max(10, 'maxIterations must not exceed 10')
+            .optional()
+    }).optional(),
+
+    // Score the answers with a judge model once every model has finished
+    judge: yup.object().shape({
+        enabled: yup.boolean().optional(),
+        model: registeredModel().optional(),
+        rubricId: yup
+            .string()
+            .optional()
+            .test('is-object-id', 'Invalid Rubric ID format', (value) => {
+                if (!value) return true; // Optional
+                return mongoose.Types.ObjectId.isValid(value);
+            }),
+        autoSelect: yup.boolean().optional()
+    }).optional(),
+
+    // Merge the answers with a synthesizer model once every model has finished
+    synthesis: yup.object().shape({
+        enabled: yup.boolean().optional(),
+        model: registeredModel().optional()
+    }).optional(),
+
+    // Ask every model for JSON matching this JSON Schema
+    responseSchema: yup
+        .mixed()
+        .optional()
+        .test('is-json-schema', 'Response schema must be a valid JSON Schema object', (value) => {
+            if (value === undefined) return true;
+            return value !== null && typeof value === 'object' && !Array.isArray(value)
+                && structuredOutput.isValidSchema(value);
+        })
+});
 
 export const generateAIResponseValidation = yup.object().shape({
     prompt: yup
         .string()
         .trim()
-        .required('Prompt is required')
+        .when('templateId', {
+            is: (templateId) => !templateId,
+            then: (schema) => schema.required('Prompt is required'),
+            otherwise: (schema) => schema.optional()
+        })
         .min(1, 'Prompt must have at least 1 character')
         .max(10000, 'Prompt must not exceed 10000 characters'),
 
+    // Render the prompt from a saved template instead of sending it raw
+    templateId: yup
+        .string()
+        .optional()
+        .test('is-object-id', 'Invalid Template ID format', (value) => {
+            if (!value) return true; // Optional
+            return mongoose.Types.ObjectId.isValid(value);
+        }),
+
+    variables: yup
+        .object()
+        .optional()
+        .test('string-values', 'Template variables must be strings or numbers', (value) => {
+            if (!value) return true;
+            return Object.values(value).every(v => v === null || ['string', 'number', 'boolean'].includes(typeof v));
+        }),
+
     projectId: yup
         .string()
         .optional()
@@ -25,26 +158,51 @@ export const generateAIResponseValidation = yup.object().shape({
             return mongoose.Types.ObjectId.isValid(value);
         }),
 
-    settings: yup.object().shape({
-        temperature: yup
-            .number()
-            .min(0, 'Temperature must be between 0 and 2')
-            .max(2, 'Temperature must be between 0 and 2')
-            .default(0.7),
+    // Branch from a specific model's answer in the previous response
+    parentModel: registeredModel()
+        .optional()
+        .test('requires-previous-response', 'parentModel requires previousResponseId', function (value) {
+            return !value || !!this.parent.previousResponseId;
+        }),
 
-        maxTokens: yup
-            .number()
-            .min(1, 'Max tokens must be at least 1')
-            .max(8000, 'Max tokens must not exceed 8000')
-            .default(2000),
+    // Images (uploaded file URL or canvas image node) and PDF/DOCX/text documents
+    attachments: yup
+        .array()
+        .of(
+            yup.object().shape({
+                type: yup
+                    .string()
+                    .oneOf(['image', 'document'], 'Attachment type must be image or document')
+                    .required('Attachment type is required'),
+                url: yup
+                    .string()
+                    .trim()
+                    .max(10 * 1024 * 1024, 'Attachment URL is too long')
+                    .optional(),
+                nodeId: yup
+                    .string()
+                    .optional()
+                    .test('image-only', 'Only image attachments can reference a canvas node', function (value) {
+                        return !value || this.parent.type === 'image';
+                    }),
+                name: yup
+                    .string()
+                    .trim()
+                    .max(255, 'Attachment name must not exceed 255 characters')
+                    .optional()
+            }).test('has-source', 'Each attachment needs a url or a canvas nodeId', (value) => {
+                return !!value && (!!value.url !== !!value.nodeId);
+            })
+        )
+        .max(10, 'At most 10 attachments are allowed')
+        .optional()
+        .test('node-requires-project', 'Canvas attachments require projectId', function (value) {
+            return !value?.some(attachment => attachment.nodeId) || !!this.parent.projectId;
+        }),
 
-        enabledModels: yup
-            .array()
-            .of(yup.string().oneOf(['gemini', 'openai', 'deepseek', 'microsoft', 'llama']))
-            .min(1, 'At least one model must be enabled')
-            .default(['gemini', 'openai', 'deepseek', 'microsoft', 'llama'])
-            .optional()
-    }).optional().default({})
+    settings: generationSettings
+        .optional()
+        .default({})
 });
 
 export const getAIResponseValidation = yup.object().shape({
@@ -78,9 +236,7 @@ export const listAIResponsesValidation = yup.object().shape({
         .oneOf(['processing', 'completed', 'partial', 'failed'])
         .optional(),
 
-    model: yup
-        .string()
-        .oneOf(['gemini', 'openai', 'deepseek', 'microsoft', 'llama'])
+    model: registeredModel()
         .optional(),
 
     projectId: yup
@@ -110,10 +266,8 @@ export const updateModelResponseValidation = yup.object().shape({
             return mongoose.Types.ObjectId.isValid(value);
         }),
 
-    model: yup
-        .string()
-        .required('Model name is required')
-        .oneOf(['gemini', 'openai', 'deepseek', 'microsoft', 'llama']),
+    model: registeredModel()
+        .required('Model name is required'),
 
     response: yup
         .string()
@@ -122,7 +276,7 @@ export const updateModelResponseValidation = yup.object().shape({
 
     status: yup
         .string()
-        .oneOf(['pending', 'success', 'error'])
+        .oneOf(['pending', 'success', 'error', 'invalid_json'])
         .required('Status is required'),
 
     errorMessage: yup
@@ -167,12 +321,48 @@ export const getAIStatsValidation = yup.object().shape({
             return true;
         }),
 
-    model: yup
+    model: registeredModel()
+        .optional(),
+
+    projectId: yup
+        .string()
+        .test('is-object-id', 'Invalid Project ID format', (value) => {
+            if (!value) return true; // Optional
+            return mongoose.Types.ObjectId.isValid(value);
+        })
+        .optional()
+});
+
+export const getThreadValidation = yup.object().shape({
+    id: yup
+        .string()
+        .required('AI Response ID is required')
+        .test('is-object-id', 'Invalid AI Response ID format', (value) => {
+            return mongoose.Types.ObjectId.isValid(value);
+        })
+});
+
+export const forkAIResponseValidation = yup.object().shape({
+    id: yup
         .string()
-        .oneOf(['gemini', 'openai', 'deepseek', 'microsoft', 'llama'])
+        .required('AI Response ID is required')
+        .test('is-object-id', 'Invalid AI Response ID format', (value) => {
+            return mongoose.Types.ObjectId.isValid(value);
+        }),
+
+    model: registeredModel()
         .optional()
 });
 
+export const getProjectTreeValidation = yup.object().shape({
+    projectId: yup
+        .string()
+        .required('Project ID is required')
+        .test('is-object-id', 'Invalid Project ID format', (value) => {
+            return mongoose.Types.ObjectId.isValid(value);
+        })
+});
+
 export const selectPreferredResponseValidation = yup.object().shape({
     id: yup
         .string()
@@ -187,6 +377,536 @@ export const selectPreferredResponseValidation = yup.object().shape({
         .test('is-valid-model', 'Invalid model name', (value) => {
             // Allow empty string to clear selection
             if (value === '') return true;
-            return ['gemini', 'openai', 'deepseek', 'microsoft', 'llama'].includes(value);
+            return modelRegistry.has(value);
+        })
+});
+
+export const updatePricingValidation = yup.object().shape({
+    model: registeredModel()
+        .required('Model name is required'),
+
+    promptPricePer1K: yup
+        .number()
+        .required('Prompt price is required')
+        .min(0, 'Prompt price must not be negative'),
+
+    completionPricePer1K: yup
+        .number()
+        .required('Completion price is required')
+        .min(0, 'Completion price must not be negative')
+});
+
+export const getQuotaValidation = yup.object().shape({
+    projectId: yup
+        .string()
+        .test('is-object-id', 'Invalid Project ID format', (value) => {
+            if (!value) return true; // Optional
+            return mongoose.Types.ObjectId.isValid(value);
+        })
+        .optional()
+});
+
+export const upsertQuotaPolicyValidation = yup.object().shape({
+    scope: yup
+        .string()
+        .oneOf(['default', 'role', 'user', 'project'])
+        .required('Scope is required'),
+
+    targetId: yup
+        .string()
+        .test('is-object-id', 'Invalid target ID format', (value) => {
+            if (!value) return true;
+            return mongoose.Types.ObjectId.isValid(value);
+        })
+        .when('scope', {
+            is: (scope) => scope && scope !== 'default',
+            then: (schema) => schema.required('Target ID is required for this scope'),
+            otherwise: (schema) => schema.optional().nullable()
+        }),
+
+    period: yup
+        .string()
+        .oneOf(['daily', 'monthly'])
+        .required('Period is required'),
+
+    maxRequests: yup
+        .number()
+        .integer()
+        .min(0, 'Max requests must not be negative')
+        .nullable()
+        .optional(),
+
+    maxTokens: yup
+        .number()
+        .integer()
+        .min(0, 'Max tokens must not be negative')
+        .nullable()
+        .optional(),
+
+    isActive: yup
+        .boolean()
+        .optional()
+});
+
+export const deleteQuotaPolicyValidation = yup.object().shape({
+    id: yup
+        .string()
+        .required('Policy ID is required')
+        .test('is-object-id', 'Invalid Policy ID format', (value) => {
+            return mongoose.Types.ObjectId.isValid(value);
+        })
+});
+
+const templateSettings = () => yup.object().shape({
+    temperature: yup
+        .number()
+        .min(0, 'Temperature must be between 0 and 2')
+        .max(2, 'Temperature must be between 0 and 2')
+        .optional(),
+
+    maxTokens: yup
+        .number()
+        .min(1, 'Max tokens must be at least 1')
+        .max(8000, 'Max tokens must not exceed 8000')
+        .optional(),
+
+    enabledModels: yup
+        .array()
+        .of(registeredModel())
+        .optional()
+}).optional();
+
+const templateVariables = () => yup.array().of(
+    yup.object().shape({
+        name: yup
+            .string()
+            .trim()
+            .required('Variable name is required'),
+        description: yup.string().trim().max(500).optional(),
+        defaultValue: yup.string().nullable().optional(),
+        required: yup.boolean().optional()
+    })
+).optional();
+
+export const createTemplateValidation = yup.object().shape({
+    name: yup
+        .string()
+        .trim()
+        .required('Template name is required')
+        .max(100, 'Template name must not exceed 100 characters'),
+
+    description: yup
+        .string()
+        .trim()
+        .max(500, 'Description must not exceed 500 characters')
+        .optional(),
+
+    content: yup
+        .string()
+        .trim()
+        .required('Template content is required')
+        .max(10000, 'Template content must not exceed 10000 characters'),
+
+    variables: templateVariables(),
+
+    settings: templateSettings(),
+
+    scope: yup
+        .string()
+        .oneOf(['private', 'shared'])
+        .optional()
+});
+
+export const updateTemplateValidation = yup.object().shape({
+    id: yup
+        .string()
+        .required('Template ID is required')
+        .test('is-object-id', 'Invalid Template ID format', (value) => {
+            return mongoose.Types.ObjectId.isValid(value);
+        }),
+
+    name: yup
+        .string()
+        .trim()
+        .max(100, 'Template name must not exceed 100 characters')
+        .optional(),
+
+    description: yup
+        .string()
+        .trim()
+        .max(500, 'Description must not exceed 500 characters')
+        .optional(),
+
+    content: yup
+        .string()
+        .trim()
+        .min(1, 'Template content must not be empty')
+        .max(10000, 'Template content must not exceed 10000 characters')
+        .optional(),
+
+    variables: templateVariables(),
+
+    settings: templateSettings(),
+
+    scope: yup
+        .string()
+        .oneOf(['private', 'shared'])
+        .optional()
+});
+
+export const getTemplateValidation = yup.object().shape({
+    id: yup
+        .string()
+        .required('Template ID is required')
+        .test('is-object-id', 'Invalid Template ID format', (value) => {
+            return mongoose.Types.ObjectId.isValid(value);
         })
 });
+
+export const listTemplatesValidation = yup.object().shape({
+    page: yup
+        .number()
+        .min(1, 'Page must be at least 1')
+        .default(1),
+
+    limit: yup
+        .number()
+        .min(1, 'Limit must be at least 1')
+        .max(100, 'Limit must not exceed 100')
+        .default(20),
+
+    search: yup
+        .string()
+        .trim()
+        .optional(),
+
+    // mine: own templates, shared: every shared template, all: both
+    scope: yup
+        .string()
+        .oneOf(['mine', 'shared', 'all'])
+        .optional()
+});
+
+const rubricCriteria = () => yup.array().of(
+    yup.object().shape({
+        name: yup
+            .string()
+            .trim()
+            .required('Criterion name is required')
+            .max(50, 'Criterion name must not exceed 50 characters'),
+        description: yup.string().trim().max(500).optional(),
+        weight: yup.number().min(0, 'Weight must not be negative').optional()
+    })
+)
+    .min(1, 'At least one criterion is required')
+    .max(10, 'A rubric can have at most 10 criteria')
+    .test('unique-names', 'Criterion names must be unique', (value) => {
+        if (!value) return true;
+        const names = value.map(criterion => criterion.name?.trim());
+        return new Set(names).size === names.length;
+    });
+
+export const createRubricValidation = yup.object().shape({
+    name: yup
+        .string()
+        .trim()
+        .required('Rubric name is required')
+        .max(100, 'Rubric name must not exceed 100 characters'),
+
+    description: yup
+        .string()
+        .trim()
+        .max(500, 'Description must not exceed 500 characters')
+        .optional(),
+
+    criteria: rubricCriteria().required('Criteria are required'),
+
+    scope: yup
+        .string()
+        .oneOf(['private', 'shared'])
+        .optional()
+});
+
+export const updateRubricValidation = yup.object().shape({
+    id: yup
+        .string()
+        .required('Rubric ID is required')
+        .test('is-object-id', 'Invalid Rubric ID format', (value) => {
+            return mongoose.Types.ObjectId.isValid(value);
+        }),
+
+    name: yup
+        .string()
+        .trim()
+        .max(100, 'Rubric name must not exceed 100 characters')
+        .optional(),
+
+    description: yup
+        .string()
+        .trim()
+        .max(500, 'Description must not exceed 500 characters')
+        .optional(),
+
+    criteria: rubricCriteria().optional(),
+
+    scope: yup
+        .string()
+        .oneOf(['private', 'shared'])
+        .optional()
+});
+
+export const getRubricValidation = yup.object().shape({
+    id: yup
+        .string()
+        .required('Rubric ID is required')
+        .test('is-object-id', 'Invalid Rubric ID format', (value) => {
+            return mongoose.Types.ObjectId.isValid(value);
+        })
+});
+
+export const judgeAIResponseValidation = yup.object().shape({
+    id: yup
+        .string()
+        .required('AI Response ID is required')
+        .test('is-object-id', 'Invalid AI Response ID format', (value) => {
+            return mongoose.Types.ObjectId.isValid(value);
+        }),
+
+    model: registeredModel()
+        .optional(),
+
+    rubricId: yup
+        .string()
+        .optional()
+        .test('is-object-id', 'Invalid Rubric ID format', (value) => {
+            if (!value) return true; // Optional
+            return mongoose.Types.ObjectId.isValid(value);
+        }),
+
+    autoSelect: yup
+        .boolean()
+        .optional()
+});
+
+export const synthesizeAIResponseValidation = yup.object().shape({
+    id: yup
+        .string()
+        .required('AI Response ID is required')
+        .test('is-object-id', 'Invalid AI Response ID format', (value) => {
+            return mongoose.Types.ObjectId.isValid(value);
+        }),
+
+    model: registeredModel()
+        .optional()
+});
+
+export const compareAIResponseValidation = yup.object().shape({
+    id: yup
+        .string()
+        .required('AI Response ID is required')
+        .test('is-object-id', 'Invalid AI Response ID format', (value) => {
+            return mongoose.Types.ObjectId.isValid(value);
+        }),
+
+    a: registeredModel()
+        .optional(),
+
+    b: registeredModel()
+        .optional()
+        .test('is-different-model', 'Models a and b must be different', function (value) {
+            return !value || value !== this.parent.a;
+        }),
+
+    granularity: yup
+        .string()
+        .oneOf(['word', 'line'], 'Granularity must be word or line')
+        .default('word'),
+
+    threshold: yup
+        .number()
+        .min(0, 'Threshold must be between 0 and 1')
+        .max(1, 'Threshold must be between 0 and 1')
+        .default(0.5)
+});
+
+export const searchAIResponsesValidation = yup.object().shape({
+    q: yup
+        .string()
+        .trim()
+        .required('Search query is required')
+        .max(200, 'Search query must not exceed 200 characters'),
+
+    model: registeredModel()
+        .optional(),
+
+    status: yup
+        .string()
+        .oneOf(['processing', 'completed', 'partial', 'failed'])
+        .optional(),
+
+    projectId: yup
+        .string()
+        .test('is-object-id', 'Invalid Project ID format', (value) => {
+            if (!value) return true; // Optional
+            return mongoose.Types.ObjectId.isValid(value);
+        })
+        .optional(),
+
+    startDate: yup
+        .date()
+        .optional(),
+
+    endDate: yup
+        .date()
+        .optional()
+        .test('is-after-start', 'End date must be after start date', function (value) {
+            const { startDate } = this.parent;
+            if (startDate && value) {
+                return value > startDate;
+            }
+            return true;
+        }),
+
+    selectedOnly: yup
+        .boolean()
+        .default(false),
+
+    minRating: yup
+        .number()
+        .integer('minRating must be an integer')
+        .min(1, 'minRating must be between 1 and 5')
+        .max(5, 'minRating must be between 1 and 5')
+        .optional(),
+
+    sort: yup
+        .string()
+        .oneOf(['relevance', 'recent'], 'Sort must be relevance or recent')
+        .default('relevance'),
+
+    page: yup
+        .number()
+        .integer()
+        .min(1, 'Page must be at least 1')
+        .default(1),
+
+    limit: yup
+        .number()
+        .integer()
+        .min(1, 'Limit must be at least 1')
+        .max(50, 'Limit must not exceed 50')
+        .default(20)
+});
+
+export const saveFeedbackValidation = yup.object().shape({
+    responseId: yup
+        .string()
+        .required('AI Response ID is required')
+        .test('is-object-id', 'Invalid AI Response ID format', (value) => {
+            return mongoose.Types.ObjectId.isValid(value);
+        }),
+
+    model: registeredModel()
+        .required('Model name is required'),
+
+    thumb: yup
+        .string()
+        .nullable()
+        .oneOf(['up', 'down', null], 'Thumb must be up or down'),
+
+    rating: yup
+        .number()
+        .nullable()
+        .integer('Rating must be a whole number')
+        .min(1, 'Rating must be between 1 and 5')
+        .max(5, 'Rating must be between 1 and 5'),
+
+    comment: yup
+        .string()
+        .nullable()
+        .trim()
+        .max(2000, 'Comment cannot exceed 2000 characters')
+}).test('has-feedback', 'Provide a thumb, rating or comment', (value) => {
+    return ['thumb', 'rating', 'comment'].some(field => value[field] !== undefined);
+});
+
+export const feedbackTargetValidation = yup.object().shape({
+    responseId: yup
+        .string()
+        .required('AI Response ID is required')
+        .test('is-object-id', 'Invalid AI Response ID format', (value) => {
+            return mongoose.Types.ObjectId.isValid(value);
+        }),
+
+    model: registeredModel()
+        .optional()
+});
+
+export const createBatchValidation = yup.object().shape({
+    name: yup
+        .string()
+        .trim()
+        .max(200, 'Batch name must not exceed 200 characters')
+        .optional(),
+
+    projectId: yup
+        .string()
+        .optional()
+        .test('is-object-id', 'Invalid Project ID format', (value) => {
+            if (!value) return true; // Optional
+            return mongoose.Types.ObjectId.isValid(value);
+        }),
+
+    // Render each row's variables into a saved template instead of a prompt column
+    templateId: yup
+        .string()
+        .optional()
+        .test('is-object-id', 'Invalid Template ID format', (value) => {
+            if (!value) return true; // Optional
+            return mongoose.Types.ObjectId.isValid(value);
+        }),
+
+    settings: generationSettings
+        .optional()
+        .default({})
+});
+
+export const getBatchValidation = yup.object().shape({
+    id: yup
+        .string()
+        .required('Batch ID is required')
+        .test('is-object-id', 'Invalid Batch ID format', (value) => {
+            return mongoose.Types.ObjectId.isValid(value);
+        })
+});
+
+export const listBatchesValidation = yup.object().shape({
+    page: yup
+        .number()
+        .min(1, 'Page must be at least 1')
+        .default(1),
+
+    limit: yup
+        .number()
+        .min(1, 'Limit must be at least 1')
+        .max(100, 'Limit must not exceed 100')
+        .default(20),
+
+    status: yup
+        .string()
+        .oneOf(['processing', 'completed', 'partial', 'failed'])
+        .optional()
+});
+
+export const exportBatchValidation = yup.object().shape({
+    id: yup
+        .string()
+        .required('Batch ID is required')
+        .test('is-object-id', 'Invalid Batch ID format', (value) => {
+            return mongoose.Types.ObjectId.isValid(value);
+        }),
+
+    format: yup
+        .string()
+        .oneOf(['csv', 'xlsx'], 'Format must be csv or xlsx')
+        .default('csv')
+});
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+// A passage of a knowledge document with its lexical index data
+const knowledgeChunkSchema = new Schema(
+    {
+        documentId: {
+            type: mongoose.Types.ObjectId,
+            ref: 'KnowledgeDocument',
+            required: true,
+            index: true
+        },
+        projectId: {
+            type: mongoose.Types.ObjectId,
+            ref: 'Project',
+            required: true
+        },
+        index: { type: Number, required: true }, // Position in the document
+        text: { type: String, required: true },
+
+        // BM25 data: term frequencies and the chunk length in terms
+        terms: { type: Map, of: Number },
+        length: { type: Number, default: 0 },
+
+        // Optional embedding from the configured embeddings provider
+        embedding: { type: [Number], select: false }
+    },
+    {
+        timestamps: true
+    }
+);
+
+knowledgeChunkSchema.index({ projectId: 1, documentId: 1, index: 1 });
+
+const KnowledgeChunk = model('KnowledgeChunk', knowledgeChunkSchema);
+
+export default KnowledgeChunk;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+// A document in a project's knowledge base; its text is split into KnowledgeChunks
+const knowledgeDocumentSchema = new Schema(
+    {
+        projectId: {
+            type: mongoose.Types.ObjectId,
+            ref: 'Project',
+            required: true,
+            index: true
+        },
+        userId: {
+            type: mongoose.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        url: { type: String }, // Source URL when added from an uploaded file link
+        mimeType: { type: String },
+        size: { type: Number },
+
+        // processing: being chunked and indexed, ready: searchable
+        status: {
+            type: String,
+            enum: ['processing', 'ready', 'failed'],
+            default: 'processing'
+        },
+        chunkCount: { type: Number, default: 0 },
+        textLength: { type: Number, default: 0 },
+        embedded: { type: Boolean, default: false }, // Chunks have embeddings
+        errorMessage: { type: String },
+
+        createdBy: { type: mongoose.Types.ObjectId, ref: 'User' }
+    },
+    {
+        timestamps: true
+    }
+);
+
+const KnowledgeDocument = model('KnowledgeDocument', knowledgeDocumentSchema);
+
+export default KnowledgeDocument;
@@ -0,0 +1,308 @@
+//libs
+import httpStatus from 'http-status';
+
+//utilities
+import createResponse from '../../../utils/response.js';
+
+//models
+import Project from './project.model.js';
+import KnowledgeDocument from './knowledge-document.model.js';
+
+//services
+import knowledge from '../../../services/knowledge.service.js';
+import aiAttachment from '../../../services/ai-attachment.service.js';
+
+//controllers
+import { FileUploadController } from '../common/fileupload.controller.js';
+
+//validators
+import {
+    addKnowledgeDocumentValidation,
+    knowledgeDocumentValidation,
+    searchKnowledgeValidation
+} from './project.validator.js';
+
+/**
+ * Accept an optional `file` upload (documents can also be added by URL), answering 400 on upload errors
+ */
+const uploadKnowledgeFile = (req, res, next) => {
+    FileUploadController.upload.single('file')(req, res, (error) => {
+        if (error) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: error.message || 'File upload failed'
+            });
+        }
+        next();
+    });
+};
+
+/**
+ * Add a document to a project's knowledge base
+ * Text is extracted right away; chunking and indexing continue in the background.
+ */
+const addDocument = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { url } = req.body;
+        const userId = req.user._id;
+
+        await addKnowledgeDocumentValidation.validate({ id, ...req.body });
+
+        if (!req.file && !url) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: 'Upload a file or provide the document URL'
+            });
+        }
+
+        const project = await Project.exists({ _id: id, userId });
+
+        if (!project) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'Project not found'
+            });
+        }
+
+        let file;
+        let name = req.body.name;
+        if (req.file) {
+            file = { buffer: req.file.buffer, mimeType: req.file.mimetype };
+            name = name || req.file.originalname;
+        } else {
+            name = name || aiAttachment.getFileName(url);
+            if (!aiAttachment.isAllowedUrl(url)) {
+                return createResponse({
+                    res,
+                    statusCode: httpStatus.BAD_REQUEST,
+                    status: false,
+                    message: 'Document URL is not allowed'
+                });
+            }
+            try {
+                file = await aiAttachment.download(url);
+            } catch (error) {
+                return createResponse({
+                    res,
+                    statusCode: httpStatus.BAD_REQUEST,
+                    status: false,
+                    message: `Could not download the document: ${error.message}`
+                });
+            }
+        }
+
+        const documentType = aiAttachment.getDocumentType(name, file.mimeType);
+        if (!documentType) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: 'Unsupported document type (use PDF, DOCX or text files)'
+            });
+        }
+
+        const text = (await aiAttachment.extractText(file.buffer, documentType)).trim();
+        if (!text) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                status: false,
+                message: 'The document has no extractable text'
+            });
+        }
+
+        const document = await KnowledgeDocument.create({
+            projectId: id,
+            userId,
+            name,
+            url: req.file ? undefined : url,
+            mimeType: file.mimeType.split(';')[0] || undefined,
+            size: file.buffer.length,
+            createdBy: userId
+        });
+
+        knowledge.indexDocument(document, text)
+            .catch(error => console.error(`[Knowledge] Indexing ${document._id} failed:`, error.message));
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.CREATED,
+            status: true,
+            message: 'Document added, indexing started',
+            data: { document }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to add document',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List the documents in a project's knowledge base
+ */
+const listDocuments = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        const project = await Project.exists({ _id: id, userId });
+
+        if (!project) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'Project not found'
+            });
+        }
+
+        const documents = await KnowledgeDocument.find({ projectId: id })
+            .sort({ createdAt: -1 })
+            .select('-__v');
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Documents retrieved successfully',
+            data: { documents }
+        });
+    } catch (error) {
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to retrieve documents',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Remove a document (and its chunks) from a project's knowledge base
+ */
+const deleteDocument = async (req, res) => {
+    try {
+        const { id, documentId } = req.params;
+        const userId = req.user._id;
+
+        await knowledgeDocumentValidation.validate({ id, documentId });
+
+        const document = await KnowledgeDocument.findOne({ _id: documentId, projectId: id, userId });
+
+        if (!document) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'Document not found'
+            });
+        }
+
+        await knowledge.deleteDocument(document._id);
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Document deleted successfully'
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to delete document',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Search a project's knowledge base (the retrieval used at generation time)
+ */
+const searchKnowledge = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { q, topK } = req.query;
+        const userId = req.user._id;
+
+        await searchKnowledgeValidation.validate({ id, q, topK });
+
+        const project = await Project.exists({ _id: id, userId });
+
+        if (!project) {
+            return createResponse({
+                res,
+                statusCode: httpStatus.NOT_FOUND,
+                status: false,
+                message: 'Project not found'
+            });
+        }
+
+        const results = await knowledge.search(id, userId, q, { topK: parseInt(topK) || undefined });
+
+        return createResponse({
+            res,
+            statusCode: httpStatus.OK,
+            status: true,
+            message: 'Knowledge search completed',
+            data: { results }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return createResponse({
+                res,
+                statusCode: httpStatus.BAD_REQUEST,
+                message: error.errors?.[0] || 'Validation error',
+                status: false,
+                error: error.errors
+            });
+        }
+        return createResponse({
+            res,
+            statusCode: httpStatus.INTERNAL_SERVER_ERROR,
+            message: 'Failed to search knowledge base',
+            status: false,
+            error: error.message
+        });
+    }
+};
+
+export const knowledgeController = {
+    uploadKnowledgeFile,
+    addDocument,
+    listDocuments,
+    deleteDocument,
+    searchKnowledge
+};
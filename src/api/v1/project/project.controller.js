@@ -8,6 +8,10 @@ import { extractCommonQueryParams } from '../../../utils/requestHelper.js';
 //models
 import Project from './project.model.js';
 
+//services
+import modelRegistry from '../../../services/model-registry.service.js';
+import knowledge from '../../../services/knowledge.service.js';
+
 //validators
 import {
     createProjectValidation,
@@ -34,7 +38,10 @@ const createProject = async (req, res) => {
             settings: {
                 temperature: payload.settings?.temperature || 0.7,
                 maxTokens: payload.settings?.maxTokens || 2000,
-                enabledModels: payload.settings?.enabledModels || ['gemini', 'openai', 'deepseek', 'microsoft', 'llama']
+                enabledModels: payload.settings?.enabledModels || modelRegistry.ids(),
+                systemPrompt: payload.settings?.systemPrompt || '',
+                modelSystemPrompts: payload.settings?.modelSystemPrompts || {},
+                moderation: payload.settings?.moderation || {}
             }
         });
 
@@ -266,6 +273,8 @@ const deleteProject = async (req, res) => {
             });
         }
 
+        await knowledge.deleteProjectKnowledge(project._id);
+
         return createResponse({
             res,
             statusCode: httpStatus.OK,
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import modelRegistry from '../../../services/model-registry.service';
+import aiModeration from '../../../services/ai-moderation.service';
 
 const { Schema, model } = mongoose;
 
@@ -24,8 +26,19 @@ const projectSchema = new Schema(
             maxTokens: { type: Number, default: 2000 },
             enabledModels: [{
                 type: String,
-                enum: ['gemini', 'openai', 'deepseek', 'microsoft', 'llama']
-            }]
+                enum: modelRegistry.ids()
+            }],
+            // Persona / output constraints sent as the system message of every generation
+            systemPrompt: { type: String, trim: true, default: '' },
+            // Per-model replacements for systemPrompt, keyed by model id
+            modelSystemPrompts: { type: Map, of: String },
+            // Content moderation policy; unset fields use the server defaults (see ai-moderation.service)
+            moderation: {
+                action: { type: String, enum: aiModeration.actions() },
+                detectors: [{ type: String, enum: aiModeration.detectors() }],
+                blockList: [{ type: String, trim: true }],
+                scanResponses: { type: Boolean }
+            }
         },
         canvasNodes: [{
             id: String,
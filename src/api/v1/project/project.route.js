@@ -1,5 +1,6 @@
 import express from 'express';
 import { projectController } from './project.controller.js';
+import { knowledgeController } from './knowledge.controller.js';
 import auth from '../../../middlewares/auth.middleware.js';
 
 const router = express.Router();
@@ -12,4 +13,10 @@ router.put('/:id', auth, projectController.updateProject);
 router.put('/:id/canvas', auth, projectController.updateCanvas);
 router.delete('/:id', auth, projectController.deleteProject);
 
+// Project knowledge base (documents retrieved into prompts at generation time)
+router.post('/:id/knowledge', auth, knowledgeController.uploadKnowledgeFile, knowledgeController.addDocument);
+router.get('/:id/knowledge', auth, knowledgeController.listDocuments);
+router.get('/:id/knowledge/search', auth, knowledgeController.searchKnowledge);
+router.delete('/:id/knowledge/:documentId', auth, knowledgeController.deleteDocument);
+
 export default router;
@@ -1,4 +1,25 @@
 import * as yup from 'yup';
+import modelRegistry from '../../../services/model-registry.service.js';
+import aiModeration from '../../../services/ai-moderation.service.js';
+
+const registeredModel = () => yup
+    .string()
+    .test('is-registered-model', 'Invalid model name', (value) => !value || modelRegistry.has(value));
+
+const modelSystemPrompts = () => yup
+    .object()
+    .test('registered-models', 'Model system prompts must map model names to text', (value) => {
+        if (!value) return true;
+        return Object.entries(value).every(([model, prompt]) =>
+            modelRegistry.has(model) && typeof prompt === 'string' && prompt.length <= 10000);
+    });
+
+const moderationPolicy = () => yup.object({
+    action: yup.string().oneOf(aiModeration.actions(), `Moderation action must be one of: ${aiModeration.actions().join(', ')}`),
+    detectors: yup.array().of(yup.string().oneOf(aiModeration.detectors(), `Detectors must be among: ${aiModeration.detectors().join(', ')}`)),
+    blockList: yup.array().of(yup.string().trim().min(1).max(100)).max(500),
+    scanResponses: yup.boolean()
+});
 
 export const createProjectValidation = yup.object({
     name: yup.string().required('Project name is required').max(100),
@@ -6,9 +27,10 @@ export const createProjectValidation = yup.object({
     settings: yup.object({
         temperature: yup.number().min(0).max(2),
         maxTokens: yup.number().min(100).max(10000),
-        enabledModels: yup.array().of(
-            yup.string().oneOf(['gemini', 'openai', 'deepseek', 'microsoft', 'llama'])
-        )
+        enabledModels: yup.array().of(registeredModel()),
+        systemPrompt: yup.string().max(10000),
+        modelSystemPrompts: modelSystemPrompts(),
+        moderation: moderationPolicy()
     })
 });
 
@@ -19,9 +41,10 @@ export const updateProjectValidation = yup.object({
     settings: yup.object({
         temperature: yup.number().min(0).max(2),
         maxTokens: yup.number().min(100).max(10000),
-        enabledModels: yup.array().of(
-            yup.string().oneOf(['gemini', 'openai', 'deepseek', 'microsoft', 'llama'])
-        )
+        enabledModels: yup.array().of(registeredModel()),
+        systemPrompt: yup.string().max(10000),
+        modelSystemPrompts: modelSystemPrompts(),
+        moderation: moderationPolicy()
     }),
     isArchived: yup.boolean()
 });
@@ -40,3 +63,21 @@ export const listProjectsValidation = yup.object({
     search: yup.string(),
     isArchived: yup.boolean()
 });
+
+export const addKnowledgeDocumentValidation = yup.object({
+    id: yup.string().required(),
+    // Link returned by /upload; not needed when the file itself is sent
+    url: yup.string().url('Document URL must be a valid URL'),
+    name: yup.string().max(255)
+});
+
+export const knowledgeDocumentValidation = yup.object({
+    id: yup.string().required(),
+    documentId: yup.string().required()
+});
+
+export const searchKnowledgeValidation = yup.object({
+    id: yup.string().required(),
+    q: yup.string().trim().required('Search query is required').max(2000),
+    topK: yup.number().integer().min(1).max(20)
+});
@@ -0,0 +1,99 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Default AI model definitions.
+ *
+ * Each entry registers one model with the provider registry:
+ * - id: key used in routes, settings.enabledModels and the `<id>_response` field
+ * - name: display name
+ * - apiModel: upstream model slug sent to the provider
+ * - baseUrl: provider API base URL (optional except for openai-compatible)
+ * - adapter: transport used to call the provider - openrouter, openai, gemini
+ *   or openai-compatible (self-hosted Ollama, vLLM, llama.cpp server)
+ * - apiKeyEnv: environment variables checked (in order) for the API key
+ *   (defaults to the adapter's, e.g. GEMINI_API_KEY; optional for openai-compatible)
+ * - keyProvider: provider a user's own API key is stored under (defaults to adapter)
+ * - fallback: id of the model to route to while this model's circuit breaker is open
+ * - responseFormat: set to false when the provider rejects response_format (JSON mode)
+ * - vision: true when the model accepts image input (image attachments skip other models)
+ * - tools: true when the model supports function calling (settings.tools offers it server-side tools)
+ * - pricing: default USD price per 1K prompt/completion tokens (editable at runtime via /ai/pricing)
+ */
+export const defaultAIModels = [
+  {
+    id: 'gemini',
+    name: 'Gemini',
+    apiModel: 'google/gemini-2.0-flash-exp:free',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    adapter: 'openrouter',
+    apiKeyEnv: ['OPENROUTER_API_KEY', 'GEMINI_API_KEY'],
+    vision: true,
+    tools: true,
+    pricing: { prompt: 0, completion: 0 },
+  },
+  {
+    id: 'openai',
+    name: 'OpenAI',
+    apiModel: 'openai/gpt-oss-20b:free',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    adapter: 'openrouter',
+    apiKeyEnv: ['OPENROUTER_API_KEY', 'OPENAI_API_KEY'],
+    tools: true,
+    pricing: { prompt: 0, completion: 0 },
+  },
+  {
+    id: 'deepseek',
+    name: 'DeepSeek',
+    apiModel: 'tngtech/deepseek-r1t2-chimera:free',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    adapter: 'openrouter',
+    apiKeyEnv: ['OPENROUTER_API_KEY', 'DEEPSEEK_API_KEY'],
+    pricing: { prompt: 0, completion: 0 },
+  },
+  {
+    id: 'microsoft',
+    name: 'Microsoft MAI',
+    apiModel: 'microsoft/mai-ds-r1:free',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    adapter: 'openrouter',
+    apiKeyEnv: ['OPENROUTER_API_KEY', 'MICROSOFT_API_KEY'],
+    pricing: { prompt: 0, completion: 0 },
+  },
+  {
+    id: 'llama',
+    name: 'Llama',
+    apiModel: 'meta-llama/llama-4-maverick:free',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    adapter: 'openrouter',
+    apiKeyEnv: ['OPENROUTER_API_KEY', 'LLAMA_API_KEY'],
+    vision: true,
+    tools: true,
+    pricing: { prompt: 0, completion: 0 },
+  },
+];
+
+/**
+ * Load AI model definitions.
+ *
+ * Definitions are read from the JSON file named by AI_MODELS_CONFIG, or from
+ * inline JSON in AI_MODELS, falling back to the defaults above. For example
+ * a local Ollama model:
+ *
+ *   { "id": "ollama", "name": "Llama 3 (local)", "apiModel": "llama3.1",
+ *     "adapter": "openai-compatible", "baseUrl": "http://localhost:11434/v1" }
+ *
+ * @returns {Object[]} - List of model definitions
+ */
+export const loadAIModels = () => {
+  if (process.env.AI_MODELS_CONFIG) {
+    const filePath = path.resolve(process.env.AI_MODELS_CONFIG);
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  if (process.env.AI_MODELS) {
+    return JSON.parse(process.env.AI_MODELS);
+  }
+
+  return defaultAIModels;
+};
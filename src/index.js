@@ -2,12 +2,20 @@ import config from './config';
 import logger from './core/logger';
 import { createServer } from './core/server';
 import connectDB from './utils/db';
+import aiQueue from './services/ai-queue.service';
+import aiSearch from './services/ai-search.service';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-// connect db
-connectDB();
+// connect db, bring the search index up to date, then resume background AI generations
+connectDB()
+  .then(() => aiSearch.ensureTextIndex())
+  .then(() => aiQueue.start())
+  .catch((err) => {
+    logger.error('Error starting background AI services', err);
+    process.exit(1); // Exit process with failure
+  });
 
 const port = config.port || 8085;
 const server = createServer();
@@ -0,0 +1,31 @@
+import httpStatus from 'http-status';
+import createResponse from '../utils/response';
+
+/**
+ * Admin-only middleware (use after auth).
+ *
+ * Admins are users whose role id is listed in ADMIN_ROLE_IDS (comma separated).
+ * Role ids are used rather than names because names can be edited; with the
+ * variable unset nobody is an admin.
+ */
+const requireAdmin = (req, res, next) => {
+  const adminRoleIds = (process.env.ADMIN_ROLE_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  const roleId = req.user?.userRole?._id || req.user?.userRole;
+
+  if (roleId && adminRoleIds.includes(String(roleId))) {
+    return next();
+  }
+
+  return createResponse({
+    res,
+    statusCode: httpStatus.FORBIDDEN,
+    status: false,
+    message: 'Admin access required',
+  });
+};
+
+export default requireAdmin;
@@ -1,15 +1,22 @@
 import xlsx from 'xlsx';
 import fs from 'fs';
 
+/**
+ * Read the rows of the first sheet of an Excel file as objects keyed by header
+ */
+export const readSheetRows = (filePath) => {
+  const workbook = xlsx.readFile(filePath);
+  const sheetName = workbook.SheetNames[0];
+  const sheet = workbook.Sheets[sheetName];
+  return xlsx.utils.sheet_to_json(sheet);
+};
+
 const processExcel = (req, res, next) => {
   const file = req.file;
   if (!file) {
     return res.status(400).json({ message: 'No file uploaded' });
   }
-  const workbook = xlsx.readFile(file.path);
-  const sheetName = workbook.SheetNames[0];
-  const sheet = workbook.Sheets[sheetName];
-  const data = xlsx.utils.sheet_to_json(sheet);
+  const data = readSheetRows(file.path);
   const headObj = data[0];
   // Set the file data on the request object
   if (data.length < 1) {
@@ -0,0 +1,92 @@
+import axios from 'axios';
+
+// Upstream request timeout (slow models can take a while on long prompts)
+const REQUEST_TIMEOUT_MS = 60000;
+
+/**
+ * Base AI Provider Adapter
+ * An adapter turns chat messages into one provider's HTTP API call and
+ * returns the generated text with normalised token usage. Messages use the
+ * OpenAI chat shape: { role, content: [{ type: 'text', text }] }, plus
+ * assistant tool_calls and { role: 'tool', tool_call_id, content } results
+ * on adapters with supportsTools.
+ */
+export default class BaseAdapter {
+    constructor({ name, defaultBaseUrl = null, defaultApiKeyEnv = [], requiresApiKey = true, supportsTools = false } = {}) {
+        this.name = name;
+        this.defaultBaseUrl = defaultBaseUrl;
+        this.defaultApiKeyEnv = defaultApiKeyEnv;
+        this.requiresApiKey = requiresApiKey;
+        this.supportsTools = supportsTools;
+    }
+
+    /**
+     * Generate a completion
+     * Pass onDelta to stream; each text delta is handed to the callback as it arrives.
+     * Pass tools (OpenAI-style function definitions) to let the model call them,
+     * with toolChoice 'none' to require a plain answer.
+     * Resolves to { content, usage: { prompt, completion, total }, toolCalls },
+     * toolCalls being [{ id, name, arguments }] when the model asked for tools.
+     */
+    async complete({ provider, apiKey, messages, settings, onDelta, tools, toolChoice }) { // eslint-disable-line no-unused-vars
+        throw new Error(`${this.name} adapter does not implement complete()`);
+    }
+
+    /**
+     * POST a JSON request; resolves to the parsed body, or the raw stream when streaming
+     */
+    async post(url, data, headers = {}, stream = false) {
+        const response = await axios.post(url, data, {
+            headers: {
+                'Content-Type': 'application/json',
+                ...headers
+            },
+            timeout: REQUEST_TIMEOUT_MS,
+            responseType: stream ? 'stream' : 'json'
+        });
+        return response.data;
+    }
+
+    /**
+     * Read a Server-Sent Events stream, calling onEvent with each parsed JSON payload
+     * Stops at the "[DONE]" sentinel or the end of the stream.
+     */
+    async readEvents(stream, onEvent) {
+        let buffer = '';
+
+        const handleLine = (rawLine) => {
+            const line = rawLine.trim();
+            // Skip blank lines and SSE comments (e.g. ": OPENROUTER PROCESSING")
+            if (!line.startsWith('data:')) return false;
+
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') return true;
+
+            onEvent(JSON.parse(data));
+            return false;
+        };
+
+        for await (const chunk of stream) {
+            buffer += chunk.toString('utf8');
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                if (handleLine(line)) return;
+            }
+        }
+
+        handleLine(buffer);
+    }
+
+    /**
+     * Get the plain text of a message's content
+     */
+    getText(content) {
+        if (typeof content === 'string') return content;
+        return (content || [])
+            .filter(part => part.type === 'text')
+            .map(part => part.text)
+            .join('\n');
+    }
+}
@@ -0,0 +1,148 @@
+import { Buffer } from 'buffer';
+import axios from 'axios';
+import BaseAdapter from './base.adapter';
+import { assertPublicHost, publicLookup } from '../../utils/ipUtil';
+
+// Image download timeout when inlining image attachments
+const IMAGE_TIMEOUT_MS = 15000;
+
+/**
+ * Gemini Adapter
+ * Talks to the Gemini API generateContent / streamGenerateContent endpoints.
+ */
+export default class GeminiAdapter extends BaseAdapter {
+    /**
+     * Convert chat messages to Gemini contents and system instruction
+     */
+    async toGeminiRequest(messages) {
+        const contents = [];
+        const systemParts = [];
+
+        for (const message of messages) {
+            if (message.role === 'system') {
+                systemParts.push({ text: this.getText(message.content) });
+                continue;
+            }
+            contents.push({
+                role: message.role === 'assistant' ? 'model' : 'user',
+                parts: await this.toGeminiParts(message.content)
+            });
+        }
+
+        const request = { contents };
+        if (systemParts.length > 0) {
+            request.systemInstruction = { parts: systemParts };
+        }
+        return request;
+    }
+
+    /**
+     * Convert message content to Gemini parts
+     * Gemini cannot fetch image URLs itself, so images are sent inline.
+     */
+    async toGeminiParts(content) {
+        if (typeof content === 'string') return [{ text: content }];
+
+        const parts = [];
+        for (const part of content || []) {
+            if (part.type === 'text') {
+                parts.push({ text: part.text });
+            } else if (part.type === 'image_url') {
+                parts.push({ inlineData: await this.getInlineImage(part.image_url.url) });
+            }
+        }
+        return parts;
+    }
+
+    /**
+     * Get an image as base64 data, from a data URL or by downloading it
+     * Downloads follow the attachment rules: no redirects, public addresses only.
+     */
+    async getInlineImage(url) {
+        const dataUrl = url.match(/^data:([^;]+);base64,(.*)$/);
+        if (dataUrl) {
+            return { mimeType: dataUrl[1], data: dataUrl[2] };
+        }
+
+        assertPublicHost(url);
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: IMAGE_TIMEOUT_MS,
+            maxRedirects: 0,
+            lookup: publicLookup
+        });
+        return {
+            mimeType: (response.headers['content-type'] || 'image/png').split(';')[0],
+            data: Buffer.from(response.data).toString('base64')
+        };
+    }
+
+    /**
+     * Get the text of a generateContent response (or stream chunk)
+     */
+    getCandidateText(body) {
+        if (body.promptFeedback?.blockReason) {
+            throw new Error(`Prompt blocked: ${body.promptFeedback.blockReason}`);
+        }
+        return (body.candidates?.[0]?.content?.parts || [])
+            .map(part => part.text || '')
+            .join('');
+    }
+
+    /**
+     * Normalise Gemini usage metadata
+     */
+    mapUsage(usage = {}) {
+        return {
+            prompt: usage.promptTokenCount || 0,
+            completion: usage.candidatesTokenCount || 0,
+            total: usage.totalTokenCount || 0
+        };
+    }
+
+    async complete({ provider, apiKey, messages, settings = {}, onDelta }) {
+        const requestData = {
+            ...(await this.toGeminiRequest(messages)),
+            generationConfig: {
+                temperature: settings.temperature ?? 0.7,
+                maxOutputTokens: settings.maxTokens || 2000,
+                // JSON mode; the schema itself is enforced by the system instruction and validation
+                ...(settings.responseSchema && { responseMimeType: 'application/json' })
+            }
+        };
+
+        const endpoint = onDelta
+            ? `${provider.apiModel}:streamGenerateContent?alt=sse`
+            : `${provider.apiModel}:generateContent`;
+
+        const body = await this.post(
+            `${provider.baseUrl}/models/${endpoint}`,
+            requestData,
+            { 'x-goog-api-key': apiKey },
+            !!onDelta
+        );
+
+        if (!onDelta) {
+            return {
+                content: this.getCandidateText(body),
+                usage: this.mapUsage(body.usageMetadata)
+            };
+        }
+
+        let content = '';
+        let usage;
+
+        await this.readEvents(body, (event) => {
+            const delta = this.getCandidateText(event);
+            if (delta) {
+                content += delta;
+                onDelta(delta);
+            }
+            if (event.usageMetadata) {
+                usage = event.usageMetadata; // Cumulative; the last chunk has the totals
+            }
+        });
+
+        return { content, usage: this.mapUsage(usage) };
+    }
+}
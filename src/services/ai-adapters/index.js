@@ -0,0 +1,49 @@
+import OpenRouterAdapter from './openrouter.adapter';
+import OpenAICompatibleAdapter from './openai-compatible.adapter';
+import GeminiAdapter from './gemini.adapter';
+import MockAdapter from './mock.adapter';
+
+/**
+ * Registered provider adapters, selected per model with the `adapter` option
+ */
+const adapters = {
+    'openrouter': new OpenRouterAdapter({
+        name: 'openrouter',
+        defaultBaseUrl: 'https://openrouter.ai/api/v1',
+        defaultApiKeyEnv: ['OPENROUTER_API_KEY']
+    }),
+    'openai': new OpenAICompatibleAdapter({
+        name: 'openai',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        defaultApiKeyEnv: ['OPENAI_API_KEY']
+    }),
+    'gemini': new GeminiAdapter({
+        name: 'gemini',
+        defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        defaultApiKeyEnv: ['GEMINI_API_KEY']
+    }),
+    // Self-hosted servers (Ollama, vLLM, llama.cpp); baseUrl is required and the key optional
+    'openai-compatible': new OpenAICompatibleAdapter({
+        name: 'openai-compatible',
+        requiresApiKey: false
+    }),
+    // Deterministic fixtures for local runs (see mock.adapter.js)
+    'mock': new MockAdapter({
+        name: 'mock',
+        defaultBaseUrl: 'mock://local',
+        requiresApiKey: false,
+        supportsTools: true
+    })
+};
+
+/**
+ * Get an adapter by name
+ */
+export const getAdapter = (name) => adapters[name];
+
+/**
+ * Get the names of all adapters
+ */
+export const adapterNames = () => Object.keys(adapters);
+
+export default adapters;
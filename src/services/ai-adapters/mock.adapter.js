@@ -0,0 +1,170 @@
+import fs from 'fs';
+import path from 'path';
+import { AxiosError } from 'axios';
+
+import BaseAdapter from './base.adapter';
+
+/**
+ * Mock Adapter
+ * Deterministic, scriptable stand-in for a provider, used in mock and test
+ * mode and for models configured with adapter "mock", so retries and partial
+ * or failed responses can be reproduced without calling a provider.
+ * Behaviour comes from the JSON file named by AI_MOCK_FIXTURES (or configure()):
+ *
+ *   {
+ *     "latencyMs": 0,
+ *     "responses": [
+ *       { "pattern": "capital of france", "response": "Paris.", "models": ["gemini"] },
+ *       { "pattern": "/^translate/i", "response": "Bonjour", "tokens": { "prompt": 10, "completion": 2 } },
+ *       { "pattern": "what time", "toolCalls": [{ "name": "get_current_datetime", "arguments": {} }], "response": "It is noon." }
+ *     ],
+ *     "models": {
+ *       "openai": { "latencyMs": 200, "failure": { "type": "429", "times": 2 } }
+ *     }
+ *   }
+ *
+ * Patterns are case-insensitive substrings, or /regex/flags, matched against
+ * the latest user message. Failure types: timeout, 429, 500, malformed. A
+ * failure with "times" only hits the first N calls of that model (handy for
+ * reproducing retries); without it every call fails. Token counts are ~4
+ * chars per token unless the fixture sets them. A fixture with toolCalls requests those
+ * tools when tools are offered, and answers with its response once the tool
+ * results come back.
+ */
+export default class MockAdapter extends BaseAdapter {
+    constructor(options) {
+        super(options);
+        this.config = null;
+        this.calls = new Map();
+    }
+
+    /**
+     * Replace the mock configuration and reset call counters
+     */
+    configure(config) {
+        this.config = {
+            latencyMs: 0,
+            responses: [],
+            models: {},
+            ...config
+        };
+        this.reset();
+    }
+
+    /**
+     * Reset per-model call counters
+     */
+    reset() {
+        this.calls.clear();
+    }
+
+    /**
+     * Get the configuration, loading AI_MOCK_FIXTURES on first use
+     */
+    getConfig() {
+        if (!this.config) {
+            const file = process.env.AI_MOCK_FIXTURES;
+            this.configure(file ? JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')) : {
+                latencyMs: parseInt(process.env.AI_MOCK_LATENCY_MS) || 0
+            });
+        }
+        return this.config;
+    }
+
+    /**
+     * Check whether a fixture pattern matches the prompt
+     */
+    matches(pattern, prompt) {
+        const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+        if (regex) {
+            return new RegExp(regex[1], regex[2]).test(prompt);
+        }
+        return prompt.toLowerCase().includes(pattern.toLowerCase());
+    }
+
+    /**
+     * Find the fixture for a model and prompt
+     */
+    findFixture(modelId, prompt) {
+        return this.getConfig().responses.find(fixture =>
+            (!fixture.models || fixture.models.includes(modelId))
+            && (fixture.pattern === undefined || this.matches(fixture.pattern, prompt)));
+    }
+
+    /**
+     * Build the error a real provider call would fail with
+     */
+    buildFailure(type, modelId) {
+        if (type === 'timeout') {
+            return new AxiosError('timeout of 60000ms exceeded', AxiosError.ECONNABORTED);
+        }
+        if (type === 'malformed') {
+            return new SyntaxError(`Unexpected token < in JSON at position 0 (mock ${modelId})`);
+        }
+
+        const status = parseInt(type) || 500;
+        const message = status === 429 ? 'Rate limit exceeded' : 'Internal server error';
+        return new AxiosError(
+            `Request failed with status code ${status}`,
+            status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+            null,
+            null,
+            { status, statusText: message, data: { error: { message: `${message} (mock)` } } }
+        );
+    }
+
+    async complete({ provider, messages, onDelta, tools, toolChoice }) {
+        const config = this.getConfig();
+        const modelConfig = config.models[provider.id] || {};
+
+        const call = (this.calls.get(provider.id) || 0) + 1;
+        this.calls.set(provider.id, call);
+
+        const latency = modelConfig.latencyMs ?? config.latencyMs;
+        if (latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, latency));
+        }
+
+        const { failure } = modelConfig;
+        if (failure && (failure.times === undefined || call <= failure.times)) {
+            throw this.buildFailure(String(failure.type), provider.id);
+        }
+
+        const prompt = this.getText([...messages].reverse().find(message => message.role === 'user')?.content);
+        const fixture = this.findFixture(provider.id, prompt);
+
+        if (fixture?.toolCalls?.length && tools?.length && toolChoice !== 'none'
+            && messages[messages.length - 1].role !== 'tool') {
+            return {
+                content: '',
+                usage: { prompt: 0, completion: 0, total: 0 },
+                toolCalls: fixture.toolCalls.map((toolCall, index) => ({
+                    id: `mock_call_${call}_${index}`,
+                    name: toolCall.name,
+                    arguments: JSON.stringify(toolCall.arguments || {})
+                }))
+            };
+        }
+
+        const content = fixture
+            ? fixture.response
+            : `Mock response from ${provider.name} for the prompt: "${prompt.substring(0, 50)}"`;
+
+        if (onDelta) {
+            content.split(/(?<=\s)/).forEach(word => onDelta(word));
+        }
+
+        const promptTokens = fixture?.tokens?.prompt
+            ?? Math.ceil(messages.reduce((sum, message) => sum + this.getText(message.content).length, 0) / 4);
+        const completionTokens = fixture?.tokens?.completion ?? Math.ceil(content.length / 4);
+
+        return {
+            content,
+            usage: {
+                prompt: promptTokens,
+                completion: completionTokens,
+                total: promptTokens + completionTokens
+            }
+        };
+    }
+}
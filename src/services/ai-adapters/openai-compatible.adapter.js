@@ -0,0 +1,119 @@
+import BaseAdapter from './base.adapter';
+
+/**
+ * OpenAI-compatible Chat Completions Adapter
+ * Talks to POST {baseUrl}/chat/completions. Used as-is for native OpenAI and
+ * self-hosted OpenAI-compatible servers (Ollama, vLLM, llama.cpp server).
+ * Set streamUsage: false on a model whose server rejects stream_options.
+ */
+export default class OpenAICompatibleAdapter extends BaseAdapter {
+    constructor(options) {
+        super({ supportsTools: true, ...options });
+    }
+
+    /**
+     * Get request headers
+     */
+    getHeaders(apiKey) {
+        return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+    }
+
+    /**
+     * Normalise an OpenAI usage object
+     */
+    mapUsage(usage = {}) {
+        return {
+            prompt: usage.prompt_tokens || 0,
+            completion: usage.completion_tokens || 0,
+            total: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+        };
+    }
+
+    /**
+     * Normalise OpenAI tool_calls to [{ id, name, arguments }]
+     */
+    mapToolCalls(toolCalls = []) {
+        return toolCalls
+            .filter(toolCall => toolCall?.function?.name)
+            .map(toolCall => ({
+                id: toolCall.id,
+                name: toolCall.function.name,
+                arguments: toolCall.function.arguments || ''
+            }));
+    }
+
+    async complete({ provider, apiKey, messages, settings = {}, onDelta, tools, toolChoice }) {
+        const requestData = {
+            model: provider.apiModel,
+            messages,
+            temperature: settings.temperature ?? 0.7,
+            max_tokens: settings.maxTokens || 2000
+        };
+
+        // Native structured output; set responseFormat: false on models that reject it
+        if (settings.responseSchema && provider.responseFormat !== false) {
+            requestData.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'response', schema: settings.responseSchema }
+            };
+        }
+
+        if (tools?.length) {
+            requestData.tools = tools;
+            if (toolChoice) {
+                requestData.tool_choice = toolChoice;
+            }
+        }
+
+        if (onDelta) {
+            requestData.stream = true;
+            if (provider.streamUsage !== false) {
+                requestData.stream_options = { include_usage: true }; // Usage arrives in the final chunk
+            }
+        }
+
+        const body = await this.post(
+            `${provider.baseUrl}/chat/completions`,
+            requestData,
+            this.getHeaders(apiKey),
+            !!onDelta
+        );
+
+        if (!onDelta) {
+            return {
+                content: body.choices?.[0]?.message?.content || '',
+                usage: this.mapUsage(body.usage),
+                toolCalls: this.mapToolCalls(body.choices?.[0]?.message?.tool_calls)
+            };
+        }
+
+        let content = '';
+        let usage;
+        // Streamed tool calls arrive in fragments keyed by index
+        const toolCalls = [];
+
+        await this.readEvents(body, (event) => {
+            if (event.error) {
+                throw new Error(event.error.message || 'Stream error');
+            }
+
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                onDelta(delta);
+            }
+            (event.choices?.[0]?.delta?.tool_calls || []).forEach(fragment => {
+                const toolCall = toolCalls[fragment.index ?? 0]
+                    || (toolCalls[fragment.index ?? 0] = { id: null, function: { name: '', arguments: '' } });
+                if (fragment.id) toolCall.id = fragment.id;
+                if (fragment.function?.name) toolCall.function.name += fragment.function.name;
+                if (fragment.function?.arguments) toolCall.function.arguments += fragment.function.arguments;
+            });
+            if (event.usage) {
+                usage = event.usage;
+            }
+        });
+
+        return { content, usage: this.mapUsage(usage), toolCalls: this.mapToolCalls(toolCalls) };
+    }
+}
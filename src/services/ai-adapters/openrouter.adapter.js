@@ -0,0 +1,15 @@
+import OpenAICompatibleAdapter from './openai-compatible.adapter';
+
+/**
+ * OpenRouter Adapter
+ * OpenAI-compatible API plus the attribution headers OpenRouter asks for.
+ */
+export default class OpenRouterAdapter extends OpenAICompatibleAdapter {
+    getHeaders(apiKey) {
+        return {
+            ...super.getHeaders(apiKey),
+            'HTTP-Referer': process.env.OPENROUTER_SITE_URL || 'http://localhost:5000',
+            'X-Title': process.env.OPENROUTER_SITE_TITLE || 'Auroro AI Backend'
+        };
+    }
+}
@@ -0,0 +1,232 @@
+import path from 'path';
+import { Buffer } from 'buffer';
+import axios from 'axios';
+import mammoth from 'mammoth';
+import { PDFParse } from 'pdf-parse';
+
+import Project from '../api/v1/project/project.model';
+import modelRegistry from './model-registry.service';
+import { assertPublicHost, publicLookup } from '../utils/ipUtil';
+
+// Document download timeout
+const DOWNLOAD_TIMEOUT_MS = 15000;
+
+const DOCUMENT_TYPES = {
+    pdf: { extensions: ['.pdf'], mimeTypes: ['application/pdf'] },
+    docx: {
+        extensions: ['.docx'],
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+    },
+    text: { extensions: ['.txt', '.md', '.csv', '.json'], mimeTypes: ['text/plain', 'text/markdown', 'text/csv', 'application/json'] }
+};
+
+/**
+ * AI Attachment Service
+ * Resolves prompt attachments: images (uploaded file URLs or canvas image
+ * nodes) are sent to vision models as image_url parts; PDF, DOCX and text
+ * documents are downloaded and their text extracted server-side, then sent
+ * to every model as text.
+ */
+class AIAttachmentService {
+    constructor() {
+        this.maxBytes = parseInt(process.env.AI_ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+        this.maxChars = parseInt(process.env.AI_ATTACHMENT_MAX_CHARS) || 20000;
+        // Hosts documents may be downloaded from (defaults to the upload bucket, else none)
+        this.allowedHosts = (process.env.AI_ATTACHMENT_HOSTS || '')
+            .split(',')
+            .map(host => host.trim().toLowerCase())
+            .filter(Boolean);
+        if (this.allowedHosts.length === 0 && process.env.AWS_S3_BUCKET_NAME && process.env.AWS_REGION) {
+            this.allowedHosts.push(`${process.env.AWS_S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com`);
+        }
+    }
+
+    /**
+     * Whether a model accepts image input (vision: true in its definition)
+     */
+    supportsImages(modelName) {
+        return modelRegistry.get(modelName)?.vision === true;
+    }
+
+    /**
+     * Whether any of the attachments is an image
+     */
+    hasImages(attachments = []) {
+        return attachments.some(attachment => attachment.type === 'image');
+    }
+
+    /**
+     * Check that a URL may be fetched or forwarded
+     */
+    isAllowedUrl(url, { allowDataUrl = false } = {}) {
+        if (allowDataUrl && /^data:image\/[a-z0-9.+-]+;base64,/i.test(url)) return true;
+
+        try {
+            const { protocol, hostname } = new URL(url);
+            if (!['http:', 'https:'].includes(protocol)) return false;
+            return this.allowedHosts.includes(hostname.toLowerCase());
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Default attachment name: the last segment of the URL path
+     */
+    getFileName(url) {
+        if (url.startsWith('data:')) return 'image';
+        try {
+            return path.basename(new URL(url).pathname) || 'attachment';
+        } catch {
+            return 'attachment';
+        }
+    }
+
+    /**
+     * Get the document type from its file name or MIME type
+     */
+    getDocumentType(name = '', mimeType = '') {
+        const extension = path.extname(name).toLowerCase();
+        const mime = mimeType.split(';')[0].trim().toLowerCase();
+
+        return Object.keys(DOCUMENT_TYPES).find(type => (
+            DOCUMENT_TYPES[type].extensions.includes(extension) || DOCUMENT_TYPES[type].mimeTypes.includes(mime)
+        )) || null;
+    }
+
+    /**
+     * Download a file, up to maxBytes
+     * Redirects are not followed and hosts resolving to private, loopback or
+     * link-local addresses are refused.
+     */
+    async download(url) {
+        assertPublicHost(url);
+
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: DOWNLOAD_TIMEOUT_MS,
+            maxContentLength: this.maxBytes,
+            maxRedirects: 0,
+            lookup: publicLookup
+        });
+
+        return {
+            buffer: Buffer.from(response.data),
+            mimeType: response.headers['content-type'] || ''
+        };
+    }
+
+    /**
+     * Extract the plain text of a document
+     */
+    async extractText(buffer, type) {
+        if (type === 'pdf') {
+            const parser = new PDFParse({ data: buffer });
+            try {
+                return (await parser.getText()).text;
+            } finally {
+                await parser.destroy();
+            }
+        }
+
+        if (type === 'docx') {
+            return (await mammoth.extractRawText({ buffer })).value;
+        }
+
+        return buffer.toString('utf8');
+    }
+
+    /**
+     * Resolve requested attachments into the references stored on the AI response
+     * Resolves to { attachments } or { error } with a message for the client.
+     */
+    async resolve(requested = [], { projectId, userId }) {
+        const attachments = [];
+
+        let canvasNodes = null;
+        if (projectId && requested.some(attachment => attachment.nodeId)) {
+            const project = await Project.findOne({ _id: projectId, userId }).select('canvasNodes').lean();
+            canvasNodes = project?.canvasNodes || [];
+        }
+
+        for (const attachment of requested) {
+            let { url, name } = attachment;
+
+            if (attachment.nodeId) {
+                const node = canvasNodes.find(canvasNode => canvasNode.id === attachment.nodeId);
+                if (!node || node.type !== 'image' || !node.url) {
+                    return { error: `Canvas image node ${attachment.nodeId} not found` };
+                }
+                url = node.url;
+            }
+
+            name = name || this.getFileName(url);
+
+            if (attachment.type === 'image') {
+                if (!this.isAllowedUrl(url, { allowDataUrl: true })) {
+                    return { error: `Image URL is not allowed: ${name}` };
+                }
+                attachments.push({ type: 'image', url, nodeId: attachment.nodeId, name });
+                continue;
+            }
+
+            if (!this.isAllowedUrl(url)) {
+                return { error: `Document URL is not allowed: ${name}` };
+            }
+
+            let file;
+            try {
+                file = await this.download(url);
+            } catch (error) {
+                return { error: `Could not download ${name}: ${error.message}` };
+            }
+
+            const documentType = this.getDocumentType(name, file.mimeType);
+            if (!documentType) {
+                return { error: `Unsupported document type: ${name} (use PDF, DOCX or text files)` };
+            }
+
+            let text;
+            try {
+                text = (await this.extractText(file.buffer, documentType)).trim();
+            } catch (error) {
+                return { error: `Could not read ${name}: ${error.message}` };
+            }
+
+            attachments.push({
+                type: 'document',
+                url,
+                name,
+                mimeType: file.mimeType.split(';')[0] || undefined,
+                size: file.buffer.length,
+                extractedText: text.substring(0, this.maxChars),
+                truncated: text.length > this.maxChars
+            });
+        }
+
+        return { attachments };
+    }
+
+    /**
+     * Build the content parts of the user message: the prompt, extracted
+     * document text, and image_url parts when the model accepts images
+     */
+    buildContent(prompt, attachments = [], { images = false } = {}) {
+        const content = [{ type: 'text', text: prompt }];
+
+        attachments.forEach(attachment => {
+            if (attachment.type === 'document') {
+                content.push({
+                    type: 'text',
+                    text: `Attached document "${attachment.name}"${attachment.truncated ? ' (truncated)' : ''}:\n${attachment.extractedText}`
+                });
+            } else if (attachment.type === 'image' && images) {
+                content.push({ type: 'image_url', image_url: { url: attachment.url } });
+            }
+        });
+
+        return content;
+    }
+}
+
+export default new AIAttachmentService();
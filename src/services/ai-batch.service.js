@@ -0,0 +1,236 @@
+import fs from 'fs';
+import path from 'path';
+import xlsx from 'xlsx';
+
+import AIBatch from '../api/v1/ai/ai-batch.model';
+import AIResponse from '../api/v1/ai/ai.model';
+import aiTemplate from './ai-template.service';
+import modelRegistry from './model-registry.service';
+import { parseCSV, exportToCSV } from '../utils/csvhelper';
+import { readSheetRows } from '../middlewares/process-excel.middleware';
+
+// Column holding the prompt (matched case-insensitively)
+const PROMPT_COLUMN = 'prompt';
+const MAX_PROMPT_LENGTH = 10000;
+
+/**
+ * AI Batch Service
+ * Runs a prompt per row of an uploaded CSV/XLSX file. Each row becomes an
+ * AIResponse linked to an AIBatch record whose progress is refreshed as the
+ * queue finishes the row responses; results export back to CSV or XLSX.
+ */
+class AIBatchService {
+    constructor() {
+        this.maxRows = parseInt(process.env.AI_BATCH_MAX_ROWS) || 500;
+    }
+
+    /**
+     * Read the rows of an uploaded CSV or Excel file, then remove the upload
+     */
+    async readRows(file) {
+        try {
+            return path.extname(file.originalname).toLowerCase() === '.csv'
+                ? await parseCSV(file.path)
+                : readSheetRows(file.path);
+        } finally {
+            fs.unlink(file.path, (error) => {
+                if (error) console.error('[Batch] Error deleting upload:', error);
+            });
+        }
+    }
+
+    /**
+     * Turn uploaded rows into prompts
+     * Columns other than the prompt column are variables: they fill the template
+     * when one is given, otherwise {{placeholders}} in the row's own prompt.
+     * Rows are numbered from 1 (header excluded); unusable rows are skipped.
+     */
+    buildPrompts(rows, template = null) {
+        const prompts = [];
+        const skipped = [];
+
+        rows.forEach((row, index) => {
+            const rowNumber = index + 1;
+            const variables = {};
+            let prompt = '';
+
+            Object.entries(row).forEach(([column, value]) => {
+                const name = String(column).trim();
+                if (name.toLowerCase() === PROMPT_COLUMN) {
+                    prompt = String(value ?? '');
+                } else if (name) {
+                    variables[name] = value === null || value === undefined ? '' : String(value);
+                }
+            });
+
+            if (template) {
+                const missing = aiTemplate.getMissingVariables(template, variables);
+                if (missing.length > 0) {
+                    skipped.push({ row: rowNumber, reason: `Missing template variables: ${missing.join(', ')}` });
+                    return;
+                }
+                prompt = aiTemplate.render(template, variables);
+            } else {
+                prompt = aiTemplate.interpolate(prompt, variables);
+            }
+
+            prompt = prompt.trim();
+            if (!prompt) {
+                skipped.push({ row: rowNumber, reason: 'Prompt is empty' });
+            } else if (prompt.length > MAX_PROMPT_LENGTH) {
+                skipped.push({ row: rowNumber, reason: `Prompt exceeds ${MAX_PROMPT_LENGTH} characters` });
+            } else {
+                prompts.push({ row: rowNumber, prompt, variables });
+            }
+        });
+
+        return { prompts, skipped };
+    }
+
+    /**
+     * Create the batch record and one pending AIResponse per prompt
+     * Prompts may carry moderation findings, logged on their response.
+     * Returns the batch and the created responses (to be queued by the caller).
+     */
+    async createBatch({ name, fileName, userId, projectId, template, prompts, skipped, settings, models, ipAddress, userAgent }) {
+        const batch = await AIBatch.create({
+            name: name || fileName,
+            fileName,
+            userId,
+            projectId,
+            templateId: template?._id,
+            enabledModels: models,
+            totalRows: prompts.length,
+            progress: { processing: prompts.length },
+            skippedRows: skipped,
+            createdBy: userId
+        });
+
+        const responses = await AIResponse.insertMany(prompts.map(({ row, prompt, variables, findings = [] }) => ({
+            prompt,
+            userId,
+            projectId,
+            settings: { ...settings, enabledModels: models },
+            totalModels: models.length,
+            overallStatus: 'processing',
+            ipAddress,
+            userAgent,
+            batchId: batch._id,
+            batchRow: row,
+            moderationLog: findings.length > 0
+                ? [{ stage: 'input', action: settings.moderation?.action, findings }]
+                : [],
+            template: template
+                ? { templateId: template._id, version: template.version, variables }
+                : undefined,
+            createdBy: userId,
+            ...Object.fromEntries(models.map(model => [
+                modelRegistry.responseField(model),
+                { model, status: 'pending', response: '', createdAt: new Date() }
+            ]))
+        })));
+
+        return { batch, responses };
+    }
+
+    /**
+     * Recount a batch's progress from its responses and update its status
+     */
+    async refreshProgress(batchId) {
+        const counts = await AIResponse.aggregate([
+            { $match: { batchId } },
+            {
+                $group: {
+                    _id: '$overallStatus',
+                    count: { $sum: 1 },
+                    totalTokensUsed: { $sum: '$totalTokensUsed' },
+                    totalCost: { $sum: '$totalCost' }
+                }
+            }
+        ]);
+
+        const progress = { processing: 0, completed: 0, partial: 0, failed: 0 };
+        let totalTokensUsed = 0;
+        let totalCost = 0;
+        counts.forEach(count => {
+            progress[count._id] = count.count;
+            totalTokensUsed += count.totalTokensUsed;
+            totalCost += count.totalCost;
+        });
+
+        const total = progress.processing + progress.completed + progress.partial + progress.failed;
+        let status = 'partial';
+        if (progress.processing > 0) status = 'processing';
+        else if (progress.completed === total) status = 'completed';
+        else if (progress.failed === total) status = 'failed';
+
+        return AIBatch.findByIdAndUpdate(
+            batchId,
+            {
+                progress,
+                totalTokensUsed,
+                totalCost,
+                status,
+                finishedAt: status === 'processing' ? null : new Date()
+            },
+            { new: true }
+        );
+    }
+
+    /**
+     * Build one export row per batch response, with status and answer columns per model
+     */
+    async getExportRows(batch) {
+        const responses = await AIResponse.find({ batchId: batch._id }).sort({ batchRow: 1 }).lean();
+        const models = batch.enabledModels;
+
+        const fields = ['row', 'prompt', 'overallStatus', 'selectedModel'];
+        models.forEach(model => {
+            fields.push(`${model}_status`, `${model}_response`, `${model}_tokens`, `${model}_cost`, `${model}_error`);
+        });
+
+        const rows = responses.map(aiResponse => {
+            const row = {
+                row: aiResponse.batchRow,
+                prompt: aiResponse.prompt,
+                overallStatus: aiResponse.overallStatus,
+                selectedModel: aiResponse.selectedModel || ''
+            };
+
+            models.forEach(model => {
+                const modelResponse = aiResponse[modelRegistry.responseField(model)] || {};
+                row[`${model}_status`] = modelResponse.status || '';
+                row[`${model}_response`] = modelResponse.response || '';
+                row[`${model}_tokens`] = modelResponse.tokens?.total || 0;
+                row[`${model}_cost`] = modelResponse.cost || 0;
+                row[`${model}_error`] = modelResponse.errorMessage || '';
+            });
+
+            return row;
+        });
+
+        return { fields, rows };
+    }
+
+    /**
+     * Export a batch to a CSV file; returns the file path
+     */
+    async exportCSV(batch) {
+        const { fields, rows } = await this.getExportRows(batch);
+        return exportToCSV(rows, fields, `batch-${batch._id}`);
+    }
+
+    /**
+     * Export a batch to an XLSX workbook; returns the file contents
+     */
+    async exportXLSX(batch) {
+        const { fields, rows } = await this.getExportRows(batch);
+
+        const workbook = xlsx.utils.book_new();
+        xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(rows, { header: fields }), 'Responses');
+
+        return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    }
+}
+
+export default new AIBatchService();
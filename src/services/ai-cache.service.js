@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+
+import AICacheEntry from '../api/v1/ai/ai-cache.model';
+
+/**
+ * AI Cache Service
+ * Caches model answers keyed on a hash of the exact request (model, upstream
+ * model, messages, temperature and max tokens). Caching only applies at low
+ * temperatures, where a repeated request should give the same answer anyway,
+ * unless a request opts in (settings.cache) or out (settings.noCache).
+ */
+class AICacheService {
+    constructor() {
+        this.enabled = process.env.AI_CACHE_ENABLED !== 'false';
+        this.ttlSeconds = parseInt(process.env.AI_CACHE_TTL_SECONDS) || 24 * 60 * 60;
+        this.maxTemperature = process.env.AI_CACHE_MAX_TEMPERATURE !== undefined
+            ? parseFloat(process.env.AI_CACHE_MAX_TEMPERATURE)
+            : 0.2;
+    }
+
+    /**
+     * Whether a request with these settings may be served from / stored in the cache
+     */
+    appliesTo(settings = {}) {
+        if (settings.noCache) return false;
+        if (settings.cache) return true;
+
+        const temperature = settings.temperature ?? 0.7;
+        return this.enabled && temperature <= this.maxTemperature;
+    }
+
+    /**
+     * Hash the parts of a request that determine the answer
+     */
+    buildKey({ model, apiModel, adapter, messages, temperature, maxTokens }) {
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify({ model, apiModel, adapter, messages, temperature, maxTokens }))
+            .digest('hex');
+    }
+
+    /**
+     * Get a live cache entry and count the hit
+     */
+    async get(key) {
+        return AICacheEntry.findOneAndUpdate(
+            { key, expiresAt: { $gt: new Date() } },
+            { $inc: { hits: 1 }, lastHitAt: new Date() },
+            { new: true }
+        ).lean();
+    }
+
+    /**
+     * Store (or refresh) the answer for a request
+     */
+    async set(key, { model, apiModel, response, tokens }) {
+        return AICacheEntry.updateOne(
+            { key },
+            {
+                $set: {
+                    model,
+                    apiModel,
+                    response,
+                    tokens,
+                    expiresAt: new Date(Date.now() + this.ttlSeconds * 1000)
+                },
+                $setOnInsert: { hits: 0 }
+            },
+            { upsert: true }
+        );
+    }
+}
+
+export default new AICacheService();
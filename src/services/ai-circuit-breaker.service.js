@@ -0,0 +1,136 @@
+/**
+ * AI Circuit Breaker Service
+ * Tracks recent provider failures per model (in-process). Once the error rate
+ * over the rolling window crosses the threshold the circuit opens and calls
+ * are short-circuited; after the cooldown one probe call is let through
+ * (half-open) and its outcome closes or re-opens the circuit.
+ */
+class AICircuitBreakerService {
+    constructor() {
+        this.windowMs = parseInt(process.env.AI_BREAKER_WINDOW_MS) || 60 * 1000;
+        this.minRequests = parseInt(process.env.AI_BREAKER_MIN_REQUESTS) || 5;
+        this.errorRateThreshold = parseFloat(process.env.AI_BREAKER_ERROR_RATE) || 0.5;
+        this.cooldownMs = parseInt(process.env.AI_BREAKER_COOLDOWN_MS) || 30 * 1000;
+
+        this.circuits = new Map();
+    }
+
+    /**
+     * Get (or create) the circuit of a model
+     */
+    getCircuit(model) {
+        if (!this.circuits.has(model)) {
+            this.circuits.set(model, {
+                state: 'closed',
+                outcomes: [], // { at, success } within the rolling window
+                openedAt: null,
+                probing: false,
+                lastError: null,
+                lastFailureAt: null
+            });
+        }
+        return this.circuits.get(model);
+    }
+
+    /**
+     * Drop outcomes older than the rolling window
+     */
+    prune(circuit) {
+        const since = Date.now() - this.windowMs;
+        circuit.outcomes = circuit.outcomes.filter(outcome => outcome.at >= since);
+    }
+
+    /**
+     * Check whether a call to the model may go ahead
+     * An open circuit lets one probe through once the cooldown has passed.
+     */
+    canRequest(model) {
+        const circuit = this.getCircuit(model);
+
+        if (circuit.state === 'closed') return true;
+
+        if (circuit.state === 'open' && Date.now() - circuit.openedAt >= this.cooldownMs) {
+            circuit.state = 'half-open';
+        }
+
+        if (circuit.state === 'half-open' && !circuit.probing) {
+            circuit.probing = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Record a successful call
+     */
+    recordSuccess(model) {
+        const circuit = this.getCircuit(model);
+        circuit.outcomes.push({ at: Date.now(), success: true });
+        this.prune(circuit);
+
+        if (circuit.state !== 'closed') {
+            console.log(`[Breaker] ${model} recovered, closing circuit`);
+            circuit.state = 'closed';
+            circuit.openedAt = null;
+            circuit.outcomes = [];
+        }
+        circuit.probing = false;
+    }
+
+    /**
+     * Record a failed call, opening the circuit when the error rate is too high
+     */
+    recordFailure(model, errorMessage) {
+        const circuit = this.getCircuit(model);
+        circuit.outcomes.push({ at: Date.now(), success: false });
+        circuit.lastError = errorMessage || null;
+        circuit.lastFailureAt = new Date();
+        this.prune(circuit);
+
+        const { requests, errorRate } = this.getRates(circuit);
+        const probeFailed = circuit.state === 'half-open';
+
+        if (probeFailed || (circuit.state === 'closed' && requests >= this.minRequests && errorRate >= this.errorRateThreshold)) {
+            console.log(`[Breaker] Opening circuit for ${model} (error rate ${Math.round(errorRate * 100)}% over ${requests} calls)`);
+            circuit.state = 'open';
+            circuit.openedAt = Date.now();
+        }
+        circuit.probing = false;
+    }
+
+    /**
+     * Get request count and error rate within the window
+     */
+    getRates(circuit) {
+        const requests = circuit.outcomes.length;
+        const failures = circuit.outcomes.filter(outcome => !outcome.success).length;
+        return {
+            requests,
+            failures,
+            errorRate: requests > 0 ? failures / requests : 0
+        };
+    }
+
+    /**
+     * Get the health of a model's circuit
+     */
+    getHealth(model) {
+        const circuit = this.getCircuit(model);
+        this.prune(circuit);
+        const { requests, failures, errorRate } = this.getRates(circuit);
+
+        return {
+            state: circuit.state,
+            requests,
+            failures,
+            errorRate: Math.round(errorRate * 100) / 100,
+            openedAt: circuit.openedAt ? new Date(circuit.openedAt) : null,
+            retryAt: circuit.state === 'open' ? new Date(circuit.openedAt + this.cooldownMs) : null,
+            lastError: circuit.lastError,
+            lastFailureAt: circuit.lastFailureAt
+        };
+    }
+}
+
+export default new AICircuitBreakerService();
@@ -0,0 +1,357 @@
+import modelRegistry from './model-registry.service';
+
+// Default similarity at or above which two answers are put in the same agreement cluster
+const DEFAULT_CLUSTER_THRESHOLD = 0.5;
+// Edit distance at which a diff gives up and falls back to a coarser one;
+// Myers' time and trace memory grow with it (about D² / 2 integers kept)
+const MAX_EDIT_DISTANCE = 1000;
+
+/**
+ * AI Compare Service
+ * Lexical comparison of the model answers stored on an AIResponse: pairwise
+ * similarity scores, word/line diffs, length and latency rankings, and
+ * agreement clusters. No embeddings are involved, so scores reflect shared
+ * wording rather than shared meaning.
+ */
+class AICompareService {
+    /**
+     * Normalised word list used for similarity scores (lowercase, punctuation stripped)
+     */
+    words(text = '') {
+        return text
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Jaccard index of two sets
+     */
+    jaccard(setA, setB) {
+        if (setA.size === 0 && setB.size === 0) return 1;
+
+        let shared = 0;
+        setA.forEach(item => {
+            if (setB.has(item)) shared++;
+        });
+
+        return shared / (setA.size + setB.size - shared);
+    }
+
+    /**
+     * Cosine similarity of two term-frequency vectors
+     */
+    cosine(wordsA, wordsB) {
+        if (wordsA.length === 0 && wordsB.length === 0) return 1;
+        if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+        const count = (list) => list.reduce((map, word) => map.set(word, (map.get(word) || 0) + 1), new Map());
+        const freqA = count(wordsA);
+        const freqB = count(wordsB);
+
+        let dot = 0;
+        freqA.forEach((value, word) => {
+            dot += value * (freqB.get(word) || 0);
+        });
+
+        const norm = (freq) => Math.sqrt([...freq.values()].reduce((sum, value) => sum + value * value, 0));
+        return dot / (norm(freqA) * norm(freqB));
+    }
+
+    /**
+     * Set of adjacent word pairs (captures word order, unlike jaccard/cosine)
+     */
+    bigrams(words) {
+        const pairs = new Set();
+        for (let i = 0; i < words.length - 1; i++) {
+            pairs.add(`${words[i]} ${words[i + 1]}`);
+        }
+        return pairs;
+    }
+
+    /**
+     * Similarity scores between two texts, each between 0 and 1
+     * `similarity` is the mean of the three metrics and is used for clustering.
+     */
+    similarity(textA, textB) {
+        const wordsA = this.words(textA);
+        const wordsB = this.words(textB);
+
+        const scores = {
+            jaccard: this.jaccard(new Set(wordsA), new Set(wordsB)),
+            cosine: this.cosine(wordsA, wordsB),
+            bigram: this.jaccard(this.bigrams(wordsA), this.bigrams(wordsB))
+        };
+        scores.similarity = (scores.jaccard + scores.cosine + scores.bigram) / 3;
+
+        Object.keys(scores).forEach(key => {
+            scores[key] = Math.round(scores[key] * 1000) / 1000;
+        });
+
+        return scores;
+    }
+
+    /**
+     * Split a text into diff tokens
+     */
+    tokenize(text = '', granularity = 'word') {
+        if (granularity === 'line') {
+            return text.split(/\r?\n/);
+        }
+        return text.split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * Shortest edit script between two token lists (Myers' O(ND) algorithm)
+     * Returns operations oldest first: { type: 'equal' | 'delete' | 'insert', token },
+     * or null when more than maxDistance edits would be needed.
+     */
+    editScript(tokensA, tokensB, maxDistance = MAX_EDIT_DISTANCE) {
+        const n = tokensA.length;
+        const m = tokensB.length;
+        const max = Math.min(n + m, maxDistance);
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        const trace = [];
+
+        // Forward pass: furthest x reached on each diagonal k for every edit distance d
+        let distance = -1;
+        for (let d = 0; d <= max && distance < 0; d++) {
+            // Keep only the diagonals round d reads from, to bound memory
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+
+                while (x < n && y < m && tokensA[x] === tokensB[y]) {
+                    x++;
+                    y++;
+                }
+
+                v[offset + k] = x;
+                if (x >= n && y >= m) {
+                    distance = d;
+                    break;
+                }
+            }
+        }
+
+        if (distance < 0) return null;
+
+        // Backtrack from the end to recover the operations
+        const operations = [];
+        let x = n;
+        let y = m;
+
+        for (let d = distance; d >= 0; d--) {
+            const previous = trace[d];
+            const at = (k) => previous[k + d + 1];
+            const k = x - y;
+
+            const previousK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+            const previousX = at(previousK);
+            const previousY = previousX - previousK;
+
+            while (x > previousX && y > previousY) {
+                operations.push({ type: 'equal', token: tokensA[x - 1] });
+                x--;
+                y--;
+            }
+
+            if (d > 0) {
+                if (x === previousX) {
+                    operations.push({ type: 'insert', token: tokensB[previousY] });
+                } else {
+                    operations.push({ type: 'delete', token: tokensA[previousX] });
+                }
+            }
+
+            x = previousX;
+            y = previousY;
+        }
+
+        return operations.reverse();
+    }
+
+    /**
+     * Edit script that replaces everything between the common prefix and suffix
+     * Used when the texts differ too much for an exact diff.
+     */
+    replaceScript(tokensA, tokensB) {
+        let start = 0;
+        while (start < tokensA.length && start < tokensB.length && tokensA[start] === tokensB[start]) start++;
+        let endA = tokensA.length;
+        let endB = tokensB.length;
+        while (endA > start && endB > start && tokensA[endA - 1] === tokensB[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        return [
+            ...tokensA.slice(0, start).map(token => ({ type: 'equal', token })),
+            ...tokensA.slice(start, endA).map(token => ({ type: 'delete', token })),
+            ...tokensB.slice(start, endB).map(token => ({ type: 'insert', token })),
+            ...tokensA.slice(endA).map(token => ({ type: 'equal', token }))
+        ];
+    }
+
+    /**
+     * Diff two texts into chunks of equal, deleted (only in A) and inserted (only in B) text
+     * Texts too different for a word diff fall back to a line diff, and then to
+     * replacing the differing middle (approximate: true).
+     */
+    diff(textA, textB, granularity = 'word') {
+        let tokensA = this.tokenize(textA, granularity);
+        let tokensB = this.tokenize(textB, granularity);
+        let operations = this.editScript(tokensA, tokensB);
+
+        if (!operations && granularity === 'word') {
+            granularity = 'line';
+            tokensA = this.tokenize(textA, granularity);
+            tokensB = this.tokenize(textB, granularity);
+            operations = this.editScript(tokensA, tokensB);
+        }
+
+        const approximate = !operations;
+        if (approximate) {
+            operations = this.replaceScript(tokensA, tokensB);
+        }
+
+        const separator = granularity === 'line' ? '\n' : ' ';
+
+        const chunks = [];
+        const stats = { equal: 0, delete: 0, insert: 0 };
+
+        operations.forEach(({ type, token }) => {
+            stats[type]++;
+            const last = chunks[chunks.length - 1];
+            if (last && last.type === type) {
+                last.tokens.push(token);
+            } else {
+                chunks.push({ type, tokens: [token] });
+            }
+        });
+
+        return {
+            granularity,
+            approximate,
+            chunks: chunks.map(chunk => ({
+                type: chunk.type,
+                value: chunk.tokens.join(separator),
+                count: chunk.tokens.length
+            })),
+            stats: {
+                ...stats,
+                // Share of tokens kept in place, as in difflib's ratio
+                ratio: tokensA.length + tokensB.length === 0
+                    ? 1
+                    : Math.round((2 * stats.equal / (tokensA.length + tokensB.length)) * 1000) / 1000
+            }
+        };
+    }
+
+    /**
+     * Group answers whose similarity reaches the threshold (single linkage)
+     * Larger clusters first; a cluster of one is an answer no other model agrees with.
+     */
+    cluster(models, pairs, threshold = DEFAULT_CLUSTER_THRESHOLD) {
+        const parent = new Map(models.map(model => [model, model]));
+        const find = (model) => {
+            while (parent.get(model) !== model) {
+                parent.set(model, parent.get(parent.get(model)));
+                model = parent.get(model);
+            }
+            return model;
+        };
+
+        pairs
+            .filter(pair => pair.similarity >= threshold)
+            .forEach(pair => parent.set(find(pair.a), find(pair.b)));
+
+        const groups = new Map();
+        models.forEach(model => {
+            const root = find(model);
+            groups.set(root, [...(groups.get(root) || []), model]);
+        });
+
+        return [...groups.values()]
+            .map(members => {
+                const inner = pairs.filter(pair => members.includes(pair.a) && members.includes(pair.b));
+                return {
+                    models: members,
+                    size: members.length,
+                    averageSimilarity: inner.length > 0
+                        ? Math.round(inner.reduce((sum, pair) => sum + pair.similarity, 0) / inner.length * 1000) / 1000
+                        : null
+                };
+            })
+            .sort((clusterA, clusterB) => clusterB.size - clusterA.size);
+    }
+
+    /**
+     * Get the answers of an AI response that have text, keyed by model
+     */
+    getAnswers(aiResponse) {
+        const answers = {};
+
+        modelRegistry.ids().forEach(model => {
+            const modelResponse = aiResponse[modelRegistry.responseField(model)];
+            if (modelResponse?.response) {
+                answers[model] = modelResponse;
+            }
+        });
+
+        return answers;
+    }
+
+    /**
+     * Compare every answer of an AI response
+     * The diff is between models a and b, defaulting to the first two answers.
+     */
+    compare(aiResponse, { a, b, granularity = 'word', threshold = DEFAULT_CLUSTER_THRESHOLD } = {}) {
+        const answers = this.getAnswers(aiResponse);
+        const models = Object.keys(answers);
+
+        const summary = models.map(model => ({
+            model,
+            status: answers[model].status,
+            characters: answers[model].response.length,
+            words: this.words(answers[model].response).length,
+            responseTime: answers[model].responseTime || 0
+        }));
+
+        const pairs = [];
+        for (let i = 0; i < models.length; i++) {
+            for (let j = i + 1; j < models.length; j++) {
+                pairs.push({
+                    a: models[i],
+                    b: models[j],
+                    ...this.similarity(answers[models[i]].response, answers[models[j]].response)
+                });
+            }
+        }
+
+        const diffA = a || models[0];
+        const diffB = b || models[1];
+
+        return {
+            models: summary,
+            rankings: {
+                length: [...summary].sort((x, y) => y.words - x.words).map(item => item.model),
+                latency: [...summary].sort((x, y) => x.responseTime - y.responseTime).map(item => item.model)
+            },
+            pairs: pairs.sort((x, y) => y.similarity - x.similarity),
+            clusters: this.cluster(models, pairs, threshold),
+            threshold,
+            diff: answers[diffA] && answers[diffB] && diffA !== diffB
+                ? { a: diffA, b: diffB, ...this.diff(answers[diffA].response, answers[diffB].response, granularity) }
+                : null
+        };
+    }
+}
+
+export default new AICompareService();
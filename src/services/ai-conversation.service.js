@@ -0,0 +1,207 @@
+import AIResponse from '../api/v1/ai/ai.model';
+import modelRegistry from './model-registry.service';
+
+// Safety limit when walking previousResponseId pointers
+const MAX_THREAD_DEPTH = 200;
+// Share of the history budget reserved for the digest of older turns
+const SUMMARY_BUDGET_RATIO = 0.25;
+// Characters kept per message in the digest of older turns
+const SUMMARY_SNIPPET_LENGTH = 200;
+
+/**
+ * AI Conversation Service
+ * Rebuilds multi-turn conversation history by walking the previousResponseId
+ * chain of AIResponse documents, and fits it into a token budget.
+ */
+class AIConversationService {
+    constructor() {
+        this.defaultTokenBudget = parseInt(process.env.AI_HISTORY_TOKEN_BUDGET) || 4000;
+    }
+
+    /**
+     * Rough token estimate (~4 characters per token)
+     */
+    estimateTokens(text = '') {
+        return Math.ceil(text.length / 4);
+    }
+
+    /**
+     * Get the ordered thread (oldest first) that ends with the given response
+     */
+    async getThread(responseId, { userId } = {}) {
+        const thread = [];
+        const seen = new Set();
+        let currentId = responseId;
+
+        while (currentId && thread.length < MAX_THREAD_DEPTH) {
+            if (seen.has(String(currentId))) break; // Guard against pointer cycles
+            seen.add(String(currentId));
+
+            const query = { _id: currentId };
+            if (userId) query.userId = userId;
+
+            const aiResponse = await AIResponse.findOne(query).select('-__v').lean();
+            if (!aiResponse) break;
+
+            thread.unshift(aiResponse);
+            currentId = aiResponse.previousResponseId;
+        }
+
+        return thread;
+    }
+
+    /**
+     * Get the direct children (follow-ups and forks) of a response
+     */
+    async getChildren(responseId, { userId } = {}) {
+        const query = { previousResponseId: responseId };
+        if (userId) query.userId = userId;
+
+        return AIResponse.find(query).sort({ createdAt: 1 }).select('-__v').lean();
+    }
+
+    /**
+     * Get every response of a project as a nested tree
+     * Roots are responses without a parent in the project; each node has a children array.
+     */
+    async getProjectTree(projectId, { userId } = {}) {
+        const query = { projectId };
+        if (userId) query.userId = userId;
+
+        const responses = await AIResponse.find(query).sort({ createdAt: 1 }).select('-__v').lean();
+
+        const nodes = new Map();
+        responses.forEach(aiResponse => {
+            nodes.set(String(aiResponse._id), { ...aiResponse, children: [] });
+        });
+
+        const roots = [];
+        nodes.forEach(node => {
+            const parent = node.previousResponseId && nodes.get(String(node.previousResponseId));
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                roots.push(node);
+            }
+        });
+
+        return roots;
+    }
+
+    /**
+     * Get the assistant answer of a turn as seen by the given model:
+     * the answer the conversation branched from, else its own successful
+     * answer, else the answer the user selected
+     */
+    getTurnAnswer(turn, modelName, branchModel) {
+        if (branchModel) {
+            const branched = turn[modelRegistry.responseField(branchModel)];
+            if (branched?.response) {
+                return branched.response;
+            }
+        }
+
+        const own = turn[modelRegistry.responseField(modelName)];
+        if (own?.status === 'success' && own.response) {
+            return own.response;
+        }
+
+        if (turn.selectedModel) {
+            const selected = turn[modelRegistry.responseField(turn.selectedModel)];
+            if (selected?.response) {
+                return selected.response;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build chat messages for the conversation leading up to a new prompt
+     *
+     * Newest turns are kept while they fit in tokenBudget. Older turns are
+     * dropped ('truncate') or condensed into a single digest message
+     * ('summarize'). parentModel is the model whose answer in the previous
+     * response the new prompt branches from. Only userId's responses are read.
+     */
+    async buildHistory(previousResponseId, modelName, { userId, tokenBudget, strategy = 'truncate', parentModel } = {}) {
+        if (!previousResponseId) return [];
+        if (!userId) throw new Error('A user is required to build conversation history');
+
+        const budget = tokenBudget || this.defaultTokenBudget;
+        const thread = await this.getThread(previousResponseId, { userId });
+
+        // Each turn's answer is the one the following turn branched from
+        const turns = thread.map((turn, index) => ({
+            prompt: turn.prompt,
+            answer: this.getTurnAnswer(
+                turn,
+                modelName,
+                index < thread.length - 1 ? thread[index + 1].parentModel : parentModel
+            )
+        }));
+
+        // Reserve part of the budget for the digest when summarising
+        const recentBudget = strategy === 'summarize'
+            ? Math.floor(budget * (1 - SUMMARY_BUDGET_RATIO))
+            : budget;
+
+        const recent = [];
+        let used = 0;
+        let index = turns.length - 1;
+
+        for (; index >= 0; index--) {
+            const turnTokens = this.estimateTokens(turns[index].prompt) + this.estimateTokens(turns[index].answer || '');
+            if (used + turnTokens > recentBudget) break;
+            recent.unshift(turns[index]);
+            used += turnTokens;
+        }
+
+        const messages = [];
+        const older = turns.slice(0, index + 1);
+
+        if (strategy === 'summarize' && older.length > 0) {
+            const digest = this.summarizeTurns(older, budget - used);
+            if (digest) {
+                messages.push({ role: 'user', content: [{ type: 'text', text: digest }] });
+                messages.push({ role: 'assistant', content: [{ type: 'text', text: 'Understood.' }] });
+            }
+        }
+
+        recent.forEach(turn => {
+            messages.push({ role: 'user', content: [{ type: 'text', text: turn.prompt }] });
+            if (turn.answer) {
+                messages.push({ role: 'assistant', content: [{ type: 'text', text: turn.answer }] });
+            }
+        });
+
+        if (older.length > 0) {
+            console.log(`[${modelName}] History: kept ${recent.length} turns, ${strategy === 'summarize' ? 'summarized' : 'dropped'} ${older.length}`);
+        }
+
+        return messages;
+    }
+
+    /**
+     * Condense older turns into one digest message that fits the token budget
+     * Each prompt and answer is clipped; the oldest turns go first if it is still too long.
+     */
+    summarizeTurns(turns, tokenBudget) {
+        const clip = (text) => text.length > SUMMARY_SNIPPET_LENGTH
+            ? `${text.substring(0, SUMMARY_SNIPPET_LENGTH)}...`
+            : text;
+
+        const entries = turns.map(turn => turn.answer
+            ? `- User: ${clip(turn.prompt)}\n  Assistant: ${clip(turn.answer)}`
+            : `- User: ${clip(turn.prompt)}`);
+
+        const header = 'Summary of the earlier part of this conversation:';
+        while (entries.length > 0 && this.estimateTokens([header, ...entries].join('\n')) > tokenBudget) {
+            entries.shift();
+        }
+
+        return entries.length > 0 ? [header, ...entries].join('\n') : null;
+    }
+}
+
+export default new AIConversationService();
@@ -0,0 +1,201 @@
+import AIFeedback from '../api/v1/ai/ai-feedback.model';
+import AIResponse from '../api/v1/ai/ai.model';
+import modelRegistry from './model-registry.service';
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * AI Feedback Service
+ * Stores thumbs, 1-5 ratings and comments on individual model answers, and
+ * aggregates them, together with the user's selectedModel picks, into
+ * per-model win-rates and average ratings.
+ */
+class AIFeedbackService {
+    /**
+     * Create or update the user's feedback on one model's answer
+     * Fields left undefined keep their stored value; null clears them.
+     */
+    async saveFeedback(aiResponse, model, userId, { thumb, rating, comment }) {
+        const update = { projectId: aiResponse.projectId || null };
+        if (thumb !== undefined) update.thumb = thumb;
+        if (rating !== undefined) update.rating = rating;
+        if (comment !== undefined) update.comment = comment;
+
+        return AIFeedback.findOneAndUpdate(
+            { responseId: aiResponse._id, model, userId },
+            { $set: update },
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+        ).select('-__v');
+    }
+
+    /**
+     * List the user's feedback on an AI response
+     */
+    async listFeedback(responseId, userId) {
+        return AIFeedback.find({ responseId, userId }).sort({ model: 1 }).select('-__v').lean();
+    }
+
+    /**
+     * Delete the user's feedback on one model's answer
+     */
+    async deleteFeedback(responseId, model, userId) {
+        return AIFeedback.findOneAndDelete({ responseId, model, userId });
+    }
+
+    /**
+     * Delete all feedback on an AI response (the response itself was deleted)
+     */
+    async deleteForResponse(responseId) {
+        return AIFeedback.deleteMany({ responseId });
+    }
+
+    /**
+     * Average ratings and thumb counts per model, overall and per day (UTC)
+     * matchQuery holds the userId, projectId and createdAt filters of the stats request;
+     * the date range applies to when the feedback was given.
+     */
+    async getRatingStats(matchQuery, model) {
+        const match = { ...matchQuery };
+        if (model) match.model = model;
+
+        const rows = await AIFeedback.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: {
+                        model: '$model',
+                        date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+                    },
+                    feedbackCount: { $sum: 1 },
+                    ratingCount: { $sum: { $cond: [{ $isNumber: '$rating' }, 1, 0] } },
+                    ratingTotal: { $sum: { $ifNull: ['$rating', 0] } },
+                    thumbsUp: { $sum: { $cond: [{ $eq: ['$thumb', 'up'] }, 1, 0] } },
+                    thumbsDown: { $sum: { $cond: [{ $eq: ['$thumb', 'down'] }, 1, 0] } }
+                }
+            },
+            { $sort: { '_id.date': 1 } }
+        ]);
+
+        return rows.map(({ _id, ...totals }) => ({ model: _id.model, date: _id.date, ...totals }));
+    }
+
+    /**
+     * Win-rates from selectedModel: how often a model's successful answer was
+     * the one picked, among responses where a pick was made; overall and per day (UTC)
+     * Only the user's own picks count: automatic selections (single-model
+     * follow-ups, judge auto-select) and synthesized responses are left out.
+     */
+    async getWinStats(matchQuery) {
+        const models = modelRegistry.ids();
+        const counters = {};
+
+        models.forEach(model => {
+            counters[`${model}__contested`] = {
+                $sum: { $cond: [{ $eq: [`$${modelRegistry.responseField(model)}.status`, 'success'] }, 1, 0] }
+            };
+            // A win only counts when the model's answer was one of the contenders
+            counters[`${model}__wins`] = {
+                $sum: {
+                    $cond: [{
+                        $and: [
+                            { $eq: ['$selectedModel', model] },
+                            { $eq: [`$${modelRegistry.responseField(model)}.status`, 'success'] }
+                        ]
+                    }, 1, 0]
+                }
+            };
+        });
+
+        const rows = await AIResponse.aggregate([
+            {
+                $match: {
+                    ...matchQuery,
+                    selectedModel: { $nin: [null, ''] },
+                    selectedBy: 'user',
+                    kind: { $ne: 'synthesis' }
+                }
+            },
+            {
+                $group: {
+                    _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                    ...counters
+                }
+            },
+            { $sort: { _id: 1 } }
+        ]);
+
+        return rows.flatMap(row => models.map(model => ({
+            model,
+            date: row._id,
+            contested: row[`${model}__contested`],
+            wins: row[`${model}__wins`]
+        })));
+    }
+
+    /**
+     * Combine rating and win statistics into per-model totals and a daily series
+     */
+    async getStats(matchQuery, model) {
+        const [ratingRows, winRows] = await Promise.all([
+            this.getRatingStats(matchQuery, model),
+            this.getWinStats(matchQuery)
+        ]);
+
+        const empty = () => ({
+            feedbackCount: 0,
+            ratingCount: 0,
+            ratingTotal: 0,
+            thumbsUp: 0,
+            thumbsDown: 0,
+            contested: 0,
+            wins: 0
+        });
+
+        const byModel = {};
+        const byDay = new Map();
+        const add = (target, row) => {
+            Object.keys(target).forEach(key => {
+                target[key] += row[key] || 0;
+            });
+        };
+
+        [...ratingRows, ...winRows]
+            .filter(row => !model || row.model === model)
+            .forEach(row => {
+                byModel[row.model] = byModel[row.model] || empty();
+                add(byModel[row.model], row);
+
+                const day = byDay.get(row.date) || {};
+                day[row.model] = day[row.model] || empty();
+                add(day[row.model], row);
+                byDay.set(row.date, day);
+            });
+
+        const summarize = (totals) => ({
+            averageRating: totals.ratingCount > 0 ? round(totals.ratingTotal / totals.ratingCount, 2) : null,
+            ratingCount: totals.ratingCount,
+            thumbsUp: totals.thumbsUp,
+            thumbsDown: totals.thumbsDown,
+            feedbackCount: totals.feedbackCount,
+            wins: totals.wins,
+            contested: totals.contested,
+            winRate: totals.contested > 0 ? round(totals.wins / totals.contested) : null
+        });
+
+        return {
+            byModel: Object.fromEntries(
+                Object.entries(byModel).map(([modelName, totals]) => [modelName, summarize(totals)])
+            ),
+            byDay: [...byDay.entries()]
+                .sort(([dateA], [dateB]) => dateA.localeCompare(dateB))
+                .map(([date, day]) => ({
+                    date,
+                    models: Object.fromEntries(
+                        Object.entries(day).map(([modelName, totals]) => [modelName, summarize(totals)])
+                    )
+                }))
+        };
+    }
+}
+
+export default new AIFeedbackService();
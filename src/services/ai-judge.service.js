@@ -0,0 +1,251 @@
+import AIResponse from '../api/v1/ai/ai.model';
+import JudgeRubric from '../api/v1/ai/ai-rubric.model';
+import aiService from './ai.service';
+import aiStream from './ai-stream.service';
+import modelRegistry from './model-registry.service';
+
+// Used when a judgement does not name a rubric
+const DEFAULT_RUBRIC = {
+    _id: null,
+    name: 'Default',
+    criteria: [
+        { name: 'accuracy', description: 'Factually correct, no errors or invented details', weight: 1 },
+        { name: 'completeness', description: 'Addresses every part of the prompt', weight: 1 },
+        { name: 'style', description: 'Clear, well organised and appropriately concise', weight: 1 }
+    ]
+};
+
+/**
+ * AI Judge Service
+ * LLM-as-judge: a judge model scores every successful answer of an AI
+ * response against a rubric (0-10 per criterion). Answers are shown to the
+ * judge under neutral labels; the weighted totals decide the winner, which
+ * can optionally become the selected model.
+ */
+class AIJudgeService {
+    constructor() {
+        this.defaultJudgeModel = process.env.AI_JUDGE_MODEL || null;
+        // A running judgement older than this is treated as abandoned and may be claimed again
+        this.claimTimeoutMs = parseInt(process.env.AI_JUDGE_CLAIM_TIMEOUT_MS) || 10 * 60 * 1000;
+    }
+
+    /**
+     * Get the judge model id (request, AI_JUDGE_MODEL, else the first registered model)
+     */
+    getJudgeModel(requested) {
+        return requested || this.defaultJudgeModel || modelRegistry.ids()[0];
+    }
+
+    /**
+     * Get a rubric the user can use, the default rubric when no id is given,
+     * or null when it does not exist
+     */
+    async resolveRubric(rubricId, userId) {
+        if (!rubricId) return DEFAULT_RUBRIC;
+
+        return JudgeRubric.findOne({
+            _id: rubricId,
+            $or: [{ userId }, { scope: 'shared' }]
+        }).lean();
+    }
+
+    /**
+     * Get the models with a successful answer
+     */
+    getCandidates(aiResponse) {
+        return modelRegistry.ids().filter(model => {
+            const answer = aiResponse[modelRegistry.responseField(model)];
+            return answer?.status === 'success' && answer.response;
+        });
+    }
+
+    /**
+     * JSON Schema the judge's answer must follow
+     */
+    buildSchema(rubric, labels) {
+        const criterionNames = rubric.criteria.map(criterion => criterion.name);
+
+        return {
+            type: 'object',
+            properties: {
+                scores: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            candidate: { type: 'string', enum: labels },
+                            criteria: {
+                                type: 'object',
+                                properties: Object.fromEntries(criterionNames.map(name => [name, {
+                                    type: 'object',
+                                    properties: {
+                                        score: { type: 'number', minimum: 0, maximum: 10 },
+                                        rationale: { type: 'string' }
+                                    },
+                                    required: ['score', 'rationale']
+                                }])),
+                                required: criterionNames
+                            },
+                            rationale: { type: 'string' }
+                        },
+                        required: ['candidate', 'criteria', 'rationale']
+                    }
+                }
+            },
+            required: ['scores']
+        };
+    }
+
+    /**
+     * Build the judging prompt
+     */
+    buildPrompt(aiResponse, candidates, labels, rubric) {
+        const criteria = rubric.criteria
+            .map(criterion => `- ${criterion.name}: ${criterion.description || criterion.name}`)
+            .join('\n');
+        const answers = candidates
+            .map((model, index) => `### Candidate ${labels[index]}\n${aiResponse[modelRegistry.responseField(model)].response}`)
+            .join('\n\n');
+
+        return 'You are an impartial judge comparing answers to the same prompt.\n'
+            + 'Score every candidate from 0 (worst) to 10 (best) on each criterion, with a short rationale, '
+            + 'and give an overall rationale per candidate. Judge only the content, not the order.\n\n'
+            + `Criteria:\n${criteria}\n\n`
+            + `## Prompt\n${aiResponse.prompt}\n\n`
+            + `## Answers\n${answers}`;
+    }
+
+    /**
+     * Score the answers of an AI response
+     * Resolves to the judgement (scores, winner, judge usage and any moderation findings)
+     */
+    async judge(aiResponse, { rubric, judgeModel, userId }) {
+        const candidates = this.getCandidates(aiResponse);
+        if (candidates.length === 0) {
+            throw new Error('No successful responses to judge');
+        }
+
+        const labels = candidates.map((model, index) => String.fromCharCode(65 + index)); // A, B, C...
+        const result = await aiService.generateSingleModelResponse(
+            judgeModel,
+            this.buildPrompt(aiResponse, candidates, labels, rubric),
+            {
+                temperature: 0,
+                maxTokens: 4000,
+                responseSchema: this.buildSchema(rubric, labels),
+                // The candidates and prompt go to the judge under the response's policy
+                moderation: aiResponse.settings?.moderation
+            },
+            { userId }
+        );
+
+        if (result.status !== 'success') {
+            throw new Error(result.errorMessage || 'Judge model failed');
+        }
+        if (!result.parsedResponse) {
+            throw new Error('Judge answer could not be read after moderation');
+        }
+
+        const totalWeight = rubric.criteria.reduce((sum, criterion) => sum + criterion.weight, 0) || 1;
+        const scores = candidates.map((model, index) => {
+            const entry = result.parsedResponse.scores.find(score => score.candidate === labels[index]);
+            const criteria = rubric.criteria.map(criterion => ({
+                name: criterion.name,
+                score: entry?.criteria[criterion.name]?.score ?? 0,
+                rationale: entry?.criteria[criterion.name]?.rationale || ''
+            }));
+            const total = criteria.reduce((sum, criterion, i) => sum + criterion.score * rubric.criteria[i].weight, 0) / totalWeight;
+
+            return {
+                model,
+                criteria,
+                total: Math.round(total * 100) / 100,
+                rationale: entry?.rationale || 'Not scored by the judge'
+            };
+        });
+
+        // Highest weighted total wins; ties go to the earlier model
+        const winner = scores.reduce((best, score) => (score.total > best.total ? score : best), scores[0]).model;
+
+        return {
+            judgeModel,
+            rubricId: rubric._id,
+            rubricName: rubric.name,
+            scores,
+            winner,
+            tokens: result.tokens,
+            cost: result.cost,
+            judgedAt: new Date(),
+            moderation: result.moderation
+        };
+    }
+
+    /**
+     * Judge an AI response and store the judgement
+     * Resolves to the updated response, or null when a judgement is already running.
+     */
+    async runJudgement(responseId, { rubricId, judgeModel, autoSelect = false, userId } = {}) {
+        // Claim the response so concurrent triggers judge it only once; a stale
+        // claim (its worker died mid-judgement) can be taken over
+        const claimedAt = new Date();
+        const aiResponse = await AIResponse.findOneAndUpdate(
+            {
+                _id: responseId,
+                $or: [
+                    { 'judgement.status': { $ne: 'running' } },
+                    { 'judgement.claimedAt': null },
+                    { 'judgement.claimedAt': { $lt: new Date(claimedAt.getTime() - this.claimTimeoutMs) } }
+                ]
+            },
+            { $set: { 'judgement.status': 'running', 'judgement.errorMessage': null, 'judgement.claimedAt': claimedAt } },
+            { new: true }
+        ).lean();
+
+        if (!aiResponse) return null;
+
+        // Writes only land while the claim is still ours
+        const claim = { _id: responseId, 'judgement.claimedAt': claimedAt };
+
+        try {
+            const rubric = await this.resolveRubric(rubricId, userId || aiResponse.userId);
+            if (!rubric) {
+                throw new Error('Rubric not found');
+            }
+
+            const { moderation, ...judgement } = await this.judge(aiResponse, {
+                rubric,
+                judgeModel: this.getJudgeModel(judgeModel),
+                userId: userId || aiResponse.userId
+            });
+
+            const update = { judgement: { ...judgement, status: 'completed', claimedAt } };
+            if (autoSelect) {
+                update.selectedModel = judgement.winner;
+                update.selectedBy = 'judge';
+            }
+            if (moderation) {
+                update.$push = { moderationLog: { stage: 'output', model: judgement.judgeModel, ...moderation } };
+            }
+
+            const { matchedCount } = await AIResponse.updateOne(claim, update);
+            if (matchedCount === 0) {
+                console.log(`[Judge] ${responseId} was claimed again before the judgement finished`);
+                return null;
+            }
+            aiStream.publish(responseId, 'judgement', judgement);
+
+            console.log(`[Judge] ${responseId} judged by ${judgement.judgeModel}, winner: ${judgement.winner}`);
+
+            // Recalculate totals so the judge's cost is included
+            return AIResponse.refreshStatus(responseId);
+        } catch (error) {
+            await AIResponse.updateOne(
+                claim,
+                { 'judgement.status': 'failed', 'judgement.errorMessage': error.message }
+            );
+            throw error;
+        }
+    }
+}
+
+export default new AIJudgeService();
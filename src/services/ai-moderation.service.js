@@ -0,0 +1,246 @@
+// Verhoeff tables for Aadhaar check digits
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+const digitsOf = (value) => value.replace(/\D/g, '');
+
+const verhoeffValid = (digits) => {
+    let check = 0;
+    [...digits].reverse().forEach((digit, index) => {
+        check = VERHOEFF_D[check][VERHOEFF_P[index % 8][Number(digit)]];
+    });
+    return check === 0;
+};
+
+const luhnValid = (digits) => {
+    let sum = 0;
+    [...digits].reverse().forEach((digit, index) => {
+        let value = Number(digit);
+        if (index % 2 === 1) {
+            value *= 2;
+            if (value > 9) value -= 9;
+        }
+        sum += value;
+    });
+    return sum % 10 === 0;
+};
+
+// PII detectors, applied in this order (longer digit runs first so a card
+// number is not also reported as a phone number)
+const PII_DETECTORS = {
+    email: {
+        label: 'EMAIL',
+        pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi
+    },
+    card: {
+        label: 'CARD',
+        pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+        validate: (match) => luhnValid(digitsOf(match))
+    },
+    aadhaar: {
+        label: 'AADHAAR',
+        pattern: /(?<!\d)[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}(?!\d)/g,
+        validate: (match) => verhoeffValid(digitsOf(match))
+    },
+    pan: {
+        label: 'PAN',
+        pattern: /\b[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]\b/g
+    },
+    phone: {
+        label: 'PHONE',
+        pattern: /(?<![\d+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{3}\)[ .-]?\d{3}[ .-]?\d{4}|\d{3}[ .-]?\d{3}[ .-]?\d{4}|\d{5}[ -]\d{5})(?!\d)/g
+    }
+};
+
+const ACTIONS = ['off', 'warn', 'redact', 'block'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseList = (value = '') => value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * AI Moderation Service
+ * Inspects what is sent to and received from third-party models. Detects PII
+ * (emails, phone numbers, Aadhaar and PAN numbers, card numbers) and block
+ * list terms, and applies the project's policy:
+ *   warn   - send as is, record the findings
+ *   redact - replace matches with placeholders such as [EMAIL] before sending
+ *   block  - refuse prompts with findings
+ * With scanResponses, model answers are scanned too (block withholds them).
+ *
+ * Server defaults: AI_MODERATION_ACTION (default warn), AI_MODERATION_BLOCKLIST
+ * (terms added to every project's list) and AI_MODERATION_SCAN_RESPONSES.
+ */
+class AIModerationService {
+    constructor() {
+        this.defaultAction = ACTIONS.includes(process.env.AI_MODERATION_ACTION)
+            ? process.env.AI_MODERATION_ACTION
+            : 'warn';
+        this.blockList = parseList(process.env.AI_MODERATION_BLOCKLIST);
+        this.scanResponses = process.env.AI_MODERATION_SCAN_RESPONSES === 'true';
+    }
+
+    /**
+     * Names of the PII detectors
+     */
+    detectors() {
+        return Object.keys(PII_DETECTORS);
+    }
+
+    /**
+     * Names of the policy actions
+     */
+    actions() {
+        return ACTIONS;
+    }
+
+    /**
+     * Resolve a project's moderation settings against the server defaults
+     */
+    getPolicy(projectPolicy = {}) {
+        return {
+            action: projectPolicy.action || this.defaultAction,
+            detectors: projectPolicy.detectors?.length ? projectPolicy.detectors : this.detectors(),
+            blockList: [...new Set([...this.blockList, ...(projectPolicy.blockList || [])])],
+            scanResponses: projectPolicy.scanResponses ?? this.scanResponses
+        };
+    }
+
+    /**
+     * Find PII and block list terms in text
+     * Returns the text with every match replaced by its placeholder, and the
+     * findings as [{ type, count }] (matched values are never returned).
+     */
+    scan(text = '', policy) {
+        if (!text || policy.action === 'off') return { text, findings: [] };
+
+        const findings = [];
+        let redacted = text;
+
+        const replace = (type, pattern, label, validate) => {
+            let count = 0;
+            redacted = redacted.replace(pattern, (match) => {
+                if (validate && !validate(match)) return match;
+                count++;
+                return `[${label}]`;
+            });
+            if (count > 0) findings.push({ type, count });
+        };
+
+        if (policy.blockList.length > 0) {
+            const terms = policy.blockList.map(escapeRegExp).join('|');
+            replace('blocklist', new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms})(?![\\p{L}\\p{N}])`, 'giu'), 'BLOCKED');
+        }
+
+        this.detectors()
+            .filter(type => policy.detectors.includes(type))
+            .forEach(type => {
+                const { pattern, label, validate } = PII_DETECTORS[type];
+                replace(type, pattern, label, validate);
+            });
+
+        return { text: redacted, findings };
+    }
+
+    /**
+     * Check the prompt and attached documents before a request is accepted
+     * Returns the findings per source and whether the policy blocks the request.
+     */
+    checkInput(sources, policy) {
+        const findings = [];
+        sources.forEach(({ source, text }) => {
+            this.scan(text, policy).findings.forEach(finding => findings.push({ ...finding, source }));
+        });
+
+        return {
+            findings,
+            blocked: policy.action === 'block' && findings.length > 0
+        };
+    }
+
+    /**
+     * Redact the text parts of outgoing chat messages (redact policies only)
+     */
+    redactMessages(messages, policy) {
+        if (policy?.action !== 'redact') return messages;
+
+        return messages.map(message => {
+            if (typeof message.content === 'string') {
+                return { ...message, content: this.scan(message.content, policy).text };
+            }
+            return {
+                ...message,
+                content: Array.isArray(message.content)
+                    ? message.content.map(part => (part.type === 'text' ? { ...part, text: this.scan(part.text, policy).text } : part))
+                    : message.content
+            };
+        });
+    }
+
+    /**
+     * Whether answers may be streamed before they are moderated
+     * Redact and block policies that scan responses change the final answer, so
+     * partial output is held back (matches can also span stream chunks).
+     */
+    allowsStreaming(policy) {
+        return !policy?.scanResponses || !['redact', 'block'].includes(policy.action);
+    }
+
+    /**
+     * Scan a successful model result when the policy asks for it
+     * Adds moderation: { action, findings } when something was found, redacting
+     * the answer (redact) or withholding it (block).
+     */
+    moderateResult(result, policy) {
+        if (!policy?.scanResponses || result.status !== 'success') return result;
+
+        const { text, findings } = this.scan(result.response, policy);
+        if (findings.length === 0) return result;
+
+        const moderated = { ...result, moderation: { action: policy.action, findings } };
+
+        if (policy.action === 'redact') {
+            moderated.response = text;
+            if (result.parsedResponse !== undefined) {
+                try {
+                    moderated.parsedResponse = JSON.parse(this.scan(JSON.stringify(result.parsedResponse), policy).text);
+                } catch {
+                    // A redacted number left the JSON invalid; keep only the redacted text
+                    moderated.parsedResponse = undefined;
+                }
+            }
+        } else if (policy.action === 'block') {
+            moderated.response = '';
+            moderated.parsedResponse = undefined;
+            moderated.status = 'error';
+            moderated.errorMessage = `Response blocked by moderation policy (${findings.map(finding => finding.type).join(', ')})`;
+        }
+
+        return moderated;
+    }
+
+    /**
+     * Describe findings for error messages, e.g. "email (2), phone (1)"
+     */
+    describeFindings(findings) {
+        const counts = {};
+        findings.forEach(({ type, count }) => {
+            counts[type] = (counts[type] || 0) + count;
+        });
+        return Object.entries(counts).map(([type, count]) => `${type} (${count})`).join(', ');
+    }
+}
+
+export default new AIModerationService();
@@ -0,0 +1,90 @@
+import ModelPricing from '../api/v1/ai/ai-pricing.model';
+import modelRegistry from './model-registry.service';
+
+/**
+ * AI Pricing Service
+ * Per-model token prices. Defaults come from the model registry
+ * (config/aiModels.js `pricing`) and can be overridden through the admin API;
+ * overrides are stored in MongoDB and cached in memory.
+ */
+class AIPricingService {
+    constructor() {
+        this.overrides = null; // Map of model id -> ModelPricing document
+    }
+
+    /**
+     * Load price overrides from the database (cached)
+     */
+    async loadOverrides() {
+        if (!this.overrides) {
+            const overrides = await ModelPricing.find().lean();
+            this.overrides = new Map(overrides.map(pricing => [pricing.model, pricing]));
+        }
+        return this.overrides;
+    }
+
+    /**
+     * Get the effective price of a model
+     */
+    async getPricing(modelName) {
+        const overrides = await this.loadOverrides();
+        const override = overrides.get(modelName);
+        const defaults = modelRegistry.get(modelName)?.pricing || {};
+
+        return {
+            model: modelName,
+            promptPricePer1K: override ? override.promptPricePer1K : (defaults.prompt || 0),
+            completionPricePer1K: override ? override.completionPricePer1K : (defaults.completion || 0),
+            currency: 'USD',
+            source: override ? 'override' : 'default',
+            updatedAt: override?.updatedAt || null
+        };
+    }
+
+    /**
+     * Get the effective price of every registered model
+     */
+    async listPricing() {
+        return Promise.all(modelRegistry.ids().map(id => this.getPricing(id)));
+    }
+
+    /**
+     * Calculate the USD cost of a generation from its token usage
+     */
+    async calculateCost(modelName, tokens = {}) {
+        const pricing = await this.getPricing(modelName);
+        const cost = ((tokens.prompt || 0) / 1000) * pricing.promptPricePer1K
+            + ((tokens.completion || 0) / 1000) * pricing.completionPricePer1K;
+
+        return Math.round(cost * 1e6) / 1e6; // Micro-dollar precision
+    }
+
+    /**
+     * Set a price override for a model
+     */
+    async updatePricing(modelName, { promptPricePer1K, completionPricePer1K }, userId) {
+        await ModelPricing.findOneAndUpdate(
+            { model: modelName },
+            {
+                $set: { promptPricePer1K, completionPricePer1K, updatedBy: userId },
+                $setOnInsert: { createdBy: userId }
+            },
+            { upsert: true, runValidators: true }
+        );
+
+        this.overrides = null;
+        return this.getPricing(modelName);
+    }
+
+    /**
+     * Remove a price override, falling back to the configured default
+     */
+    async resetPricing(modelName) {
+        await ModelPricing.deleteOne({ model: modelName });
+
+        this.overrides = null;
+        return this.getPricing(modelName);
+    }
+}
+
+export default new AIPricingService();
@@ -0,0 +1,391 @@
+import os from 'os';
+import crypto from 'crypto';
+
+import AIJob from '../api/v1/ai/ai-job.model';
+import AIResponse from '../api/v1/ai/ai.model';
+import aiService from './ai.service';
+import aiStream from './ai-stream.service';
+import modelRegistry from './model-registry.service';
+import aiJudge from './ai-judge.service';
+import aiSynthesis from './ai-synthesis.service';
+import aiBatch from './ai-batch.service';
+import aiModeration from './ai-moderation.service';
+
+/**
+ * AI Queue Service
+ * MongoDB-backed job queue for model generations. Each job generates one
+ * model's response for one AIResponse, so work survives process restarts:
+ * jobs are claimed with a lease, failed attempts are retried with
+ * exponential backoff, and orphaned pending responses are re-queued on boot.
+ */
+class AIQueueService {
+    constructor() {
+        this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+        this.concurrency = parseInt(process.env.AI_QUEUE_CONCURRENCY) || 5;
+        this.modelConcurrency = parseInt(process.env.AI_QUEUE_MODEL_CONCURRENCY) || 0; // 0 = no per-model limit
+        this.maxAttempts = parseInt(process.env.AI_QUEUE_MAX_ATTEMPTS) || 3;
+        this.retryDelayMs = parseInt(process.env.AI_QUEUE_RETRY_DELAY_MS) || 5000;
+        this.leaseMs = parseInt(process.env.AI_QUEUE_LEASE_MS) || 2 * 60 * 1000;
+        this.pollIntervalMs = parseInt(process.env.AI_QUEUE_POLL_INTERVAL_MS) || 2000;
+
+        this.active = 0;
+        this.activeByModel = new Map();
+        this.ticking = false;
+        this.timer = null;
+    }
+
+    /**
+     * Start polling for jobs and recover work lost by a previous process
+     * Rejects when the job indexes cannot be built (e.g. duplicate active jobs).
+     */
+    async start() {
+        if (this.timer) return;
+
+        await AIJob.init();
+
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+
+        try {
+            const recovered = await this.recoverOrphans();
+            if (recovered > 0) {
+                console.log(`[Queue] Re-queued ${recovered} orphaned model generations`);
+            }
+        } catch (error) {
+            console.error('[Queue] Error recovering orphaned generations:', error);
+        }
+
+        this.tick();
+    }
+
+    /**
+     * Stop polling (running jobs finish on their own)
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Queue generation jobs for the given models of an AI response
+     * A model that already has a queued or running job is not queued twice.
+     */
+    async enqueue(responseId, models, { userId } = {}) {
+        await Promise.all(models.map(model => this.queueJob(responseId, model, userId)));
+        this.tick();
+    }
+
+    /**
+     * Insert a queued job unless the model already has an active one
+     * Resolves to true when a new job was created
+     */
+    async queueJob(responseId, model, userId) {
+        try {
+            const result = await AIJob.updateOne(
+                { responseId, model, status: { $in: ['queued', 'running'] } },
+                {
+                    $setOnInsert: {
+                        userId,
+                        status: 'queued',
+                        active: true,
+                        runAt: new Date(),
+                        attempts: 0,
+                        maxAttempts: this.maxAttempts
+                    }
+                },
+                { upsert: true }
+            );
+            return result.upsertedCount > 0;
+        } catch (error) {
+            // A concurrent call inserted the active job first (unique active-job index)
+            if (error.code === 11000) return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Re-queue model responses left 'pending' without an active job
+     * (e.g. the process restarted while generating)
+     */
+    async recoverOrphans() {
+        let recovered = 0;
+
+        for (const model of modelRegistry.ids()) {
+            const field = modelRegistry.responseField(model);
+            const pendingResponses = await AIResponse.find({ [`${field}.status`]: 'pending' })
+                .select('_id userId')
+                .lean();
+
+            for (const aiResponse of pendingResponses) {
+                if (await this.queueJob(aiResponse._id, model, aiResponse.userId)) {
+                    recovered++;
+                }
+            }
+        }
+
+        return recovered;
+    }
+
+    /**
+     * Claim and start jobs until the concurrency limit is reached
+     */
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            while (this.active < this.concurrency) {
+                const job = await this.claimJob();
+                if (!job) break;
+
+                this.trackActive(job.model, 1);
+                this.runJob(job)
+                    .catch(error => console.error(`[Queue] Job ${job._id} crashed:`, error))
+                    .finally(() => {
+                        this.trackActive(job.model, -1);
+                        this.tick();
+                    });
+            }
+        } catch (error) {
+            console.error('[Queue] Error claiming jobs:', error);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Atomically claim the next due job, or a running job whose lease expired
+     * An expired job is retried after the same backoff as rescheduleJob, while
+     * it has attempts left; one with none left is claimed only to be failed.
+     */
+    async claimJob() {
+        const now = new Date();
+        const retryAt = {
+            $add: ['$lockedUntil', { $multiply: [this.retryDelayMs, { $pow: [2, { $subtract: ['$attempts', 1] }] }] }]
+        };
+        const query = {
+            $or: [
+                { status: 'queued', runAt: { $lte: now } },
+                {
+                    status: 'running',
+                    lockedUntil: { $lt: now },
+                    $expr: {
+                        $or: [
+                            { $and: [{ $lt: ['$attempts', '$maxAttempts'] }, { $lte: [retryAt, now] }] },
+                            { $gte: ['$attempts', '$maxAttempts'] }
+                        ]
+                    }
+                }
+            ]
+        };
+
+        if (this.modelConcurrency > 0) {
+            const saturated = [...this.activeByModel.entries()]
+                .filter(([, count]) => count >= this.modelConcurrency)
+                .map(([model]) => model);
+            if (saturated.length > 0) {
+                query.model = { $nin: saturated };
+            }
+        }
+
+        return AIJob.findOneAndUpdate(
+            query,
+            {
+                $set: {
+                    status: 'running',
+                    lockedBy: this.workerId,
+                    lockedUntil: new Date(now.getTime() + this.leaseMs)
+                },
+                $inc: { attempts: 1 }
+            },
+            { sort: { runAt: 1 }, new: true }
+        );
+    }
+
+    /**
+     * Run a claimed job
+     */
+    async runJob(job) {
+        const field = modelRegistry.responseField(job.model);
+
+        // Keep the lease alive while the model is generating
+        const leaseRenewal = setInterval(() => {
+            AIJob.updateOne(
+                { _id: job._id, lockedBy: this.workerId },
+                { lockedUntil: new Date(Date.now() + this.leaseMs) }
+            ).catch(error => console.error(`[Queue] Error renewing lease for job ${job._id}:`, error));
+        }, Math.floor(this.leaseMs / 3));
+
+        try {
+            const aiResponse = await AIResponse.findById(job.responseId).lean();
+
+            // Response deleted, model removed or already answered in the meantime
+            if (!aiResponse || aiResponse[field]?.status !== 'pending') {
+                await this.finishJob(job, 'cancelled');
+                return;
+            }
+
+            let result;
+            if (job.attempts > job.maxAttempts) {
+                // Its worker died or hung on the last attempt: give up without calling the provider again
+                result = {
+                    model: job.model,
+                    status: 'error',
+                    response: '',
+                    errorMessage: `Generation did not finish after ${job.maxAttempts} attempts`,
+                    tokens: { prompt: 0, completion: 0, total: 0 },
+                    responseTime: 0
+                };
+            } else {
+                console.log(`[Queue] Starting ${job.model} for ${job.responseId} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+                try {
+                    result = await aiService.generateSingleModelResponse(
+                        job.model,
+                        aiResponse.prompt,
+                        {
+                            ...aiResponse.settings,
+                            previousResponseId: aiResponse.previousResponseId || null,
+                            parentModel: aiResponse.parentModel || null,
+                            attachments: aiResponse.attachments || [],
+                            citations: aiResponse.citations || []
+                        },
+                        {
+                            userId: job.userId,
+                            projectId: aiResponse.projectId,
+                            onDelta: aiModeration.allowsStreaming(aiResponse.settings?.moderation)
+                                ? (content) => aiStream.publishDelta(job.responseId, job.model, content)
+                                : undefined
+                        }
+                    );
+                } catch (error) {
+                    result = {
+                        model: job.model,
+                        status: 'error',
+                        response: '',
+                        errorMessage: error.message || 'Failed to generate response',
+                        tokens: { prompt: 0, completion: 0, total: 0 },
+                        responseTime: 0
+                    };
+                }
+            }
+
+            if (result.status === 'error' && result.retryable && job.attempts < job.maxAttempts) {
+                await this.rescheduleJob(job, result.errorMessage);
+                return;
+            }
+
+            // Only write if the model is still waiting for this result
+            const updated = await AIResponse.findOneAndUpdate(
+                { _id: job.responseId, [`${field}.status`]: 'pending' },
+                {
+                    [field]: {
+                        ...result,
+                        createdAt: result.createdAt || new Date()
+                    },
+                    updatedAt: new Date(),
+                    ...(result.moderation && {
+                        $push: { moderationLog: { stage: 'output', model: job.model, ...result.moderation } }
+                    })
+                }
+            );
+
+            if (updated) {
+                aiStream.publishModelResult(job.responseId, job.model, result);
+
+                // Recalculate overall status and notify subscribers when every model is done
+                const refreshed = await AIResponse.refreshStatus(job.responseId);
+                if (refreshed && refreshed.overallStatus !== 'processing') {
+                    aiStream.publishDone(job.responseId, refreshed);
+
+                    if (refreshed.batchId) {
+                        aiBatch.refreshProgress(refreshed.batchId)
+                            .catch(error => console.error(`[Batch] Refreshing ${refreshed.batchId} failed:`, error.message));
+                    }
+
+                    // Optional judge step; runs in the background and is claimed once per response
+                    const judge = refreshed.settings?.judge;
+                    if (judge?.enabled && refreshed.completedModels > 0) {
+                        aiJudge.runJudgement(job.responseId, {
+                            rubricId: judge.rubricId,
+                            judgeModel: judge.model,
+                            autoSelect: judge.autoSelect,
+                            userId: refreshed.userId
+                        }).catch(error => console.error(`[Judge] Judging ${job.responseId} failed:`, error.message));
+                    }
+
+                    // Optional synthesis step, same rules as judging
+                    const synthesis = refreshed.settings?.synthesis;
+                    if (synthesis?.enabled && refreshed.completedModels > 1) {
+                        aiSynthesis.synthesize(job.responseId, {
+                            model: synthesis.model,
+                            userId: refreshed.userId
+                        }).catch(error => console.error(`[Synthesis] Synthesizing ${job.responseId} failed:`, error.message));
+                    }
+                }
+            }
+
+            await this.finishJob(
+                job,
+                result.status === 'success' ? 'completed' : 'failed',
+                result.errorMessage
+            );
+        } finally {
+            clearInterval(leaseRenewal);
+        }
+    }
+
+    /**
+     * Put a failed job back in the queue with exponential backoff
+     */
+    async rescheduleJob(job, errorMessage) {
+        const delay = this.retryDelayMs * Math.pow(2, job.attempts - 1);
+        const runAt = new Date(Date.now() + delay);
+
+        await AIJob.updateOne(
+            { _id: job._id, lockedBy: this.workerId },
+            {
+                status: 'queued',
+                runAt,
+                lockedBy: null,
+                lockedUntil: null,
+                lastError: errorMessage
+            }
+        );
+
+        console.log(`[Queue] ${job.model} for ${job.responseId} failed, retrying in ${delay}ms: ${errorMessage}`);
+        aiStream.publish(job.responseId, 'model-retry', {
+            model: job.model,
+            attempt: job.attempts,
+            nextRunAt: runAt,
+            errorMessage
+        });
+    }
+
+    /**
+     * Mark a job as finished
+     */
+    async finishJob(job, status, errorMessage) {
+        await AIJob.updateOne(
+            { _id: job._id, lockedBy: this.workerId },
+            {
+                status,
+                active: false,
+                lockedBy: null,
+                lockedUntil: null,
+                lastError: errorMessage,
+                finishedAt: new Date()
+            }
+        );
+    }
+
+    /**
+     * Adjust active job counters
+     */
+    trackActive(model, delta) {
+        this.active += delta;
+        this.activeByModel.set(model, (this.activeByModel.get(model) || 0) + delta);
+    }
+}
+
+export default new AIQueueService();
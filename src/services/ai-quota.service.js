@@ -0,0 +1,254 @@
+import dayjs from '../utils/dayjs';
+import QuotaPolicy from '../api/v1/ai/ai-quota.model';
+import QuotaUsage from '../api/v1/ai/ai-quota-usage.model';
+import AIResponse from '../api/v1/ai/ai.model';
+
+const PERIOD_UNITS = { daily: 'day', monthly: 'month' };
+// Most specific policy wins for per-user limits
+const USER_SCOPE_PRECEDENCE = ['user', 'role', 'default'];
+
+/**
+ * AI Quota Service
+ * Daily/monthly request and token caps for AI generations. Per-user limits
+ * come from the most specific of the user, role and default policies;
+ * project policies cap all usage within a project on top of that.
+ * Usage is counted from AIResponse documents (UTC windows); request caps are
+ * enforced through a per-policy, per-window counter so concurrent requests
+ * cannot reserve past the limit.
+ */
+class AIQuotaService {
+    /**
+     * Get the current window of a period
+     */
+    getWindow(period) {
+        const unit = PERIOD_UNITS[period];
+        const start = dayjs.utc().startOf(unit);
+        return { start: start.toDate(), resetsAt: start.add(1, unit).toDate() };
+    }
+
+    /**
+     * Get the policies that apply to a user (and optionally a project)
+     */
+    async getApplicablePolicies(user, projectId) {
+        const targets = [
+            { scope: 'default', targetId: null },
+            { scope: 'user', targetId: user._id }
+        ];
+        if (user.userRole?._id) {
+            targets.push({ scope: 'role', targetId: user.userRole._id });
+        }
+        if (projectId) {
+            targets.push({ scope: 'project', targetId: projectId });
+        }
+
+        const policies = await QuotaPolicy.find({ isActive: true, $or: targets }).lean();
+
+        const applicable = [];
+        Object.keys(PERIOD_UNITS).forEach(period => {
+            const userPolicy = USER_SCOPE_PRECEDENCE
+                .map(scope => policies.find(p => p.scope === scope && p.period === period))
+                .find(Boolean);
+            if (userPolicy) applicable.push(userPolicy);
+
+            const projectPolicy = policies.find(p => p.scope === 'project' && p.period === period);
+            if (projectPolicy) applicable.push(projectPolicy);
+        });
+
+        return applicable;
+    }
+
+    /**
+     * Count requests and tokens since a date
+     */
+    async getUsage(match, since) {
+        const [usage] = await AIResponse.aggregate([
+            { $match: { ...match, createdAt: { $gte: since } } },
+            {
+                $group: {
+                    _id: null,
+                    requests: { $sum: 1 },
+                    tokens: { $sum: '$totalTokensUsed' }
+                }
+            }
+        ]);
+
+        return usage || { requests: 0, tokens: 0 };
+    }
+
+    /**
+     * Get the filter of a policy's request counter
+     * User, role and default policies count per user; project policies per project.
+     */
+    getCounter(policy, user, windowStart) {
+        return {
+            policyId: policy.policyId || policy._id,
+            targetId: policy.scope === 'project' ? policy.targetId : user._id,
+            windowStart
+        };
+    }
+
+    /**
+     * Get the request counter of a policy window
+     * The counter never drops below the responses actually created, which
+     * also seeds it on first use and catches responses created elsewhere.
+     */
+    async syncCounter(counter, requests, resetsAt) {
+        const update = () => QuotaUsage.findOneAndUpdate(
+            counter,
+            { $max: { requests }, $setOnInsert: { expiresAt: resetsAt } },
+            { upsert: true, new: true }
+        ).lean();
+
+        try {
+            return await update();
+        } catch (error) {
+            // A concurrent request created the counter first
+            if (error.code === 11000) return update();
+            throw error;
+        }
+    }
+
+    /**
+     * Get usage and remaining budget for every applicable policy
+     */
+    async getQuotaStatus(user, projectId) {
+        const policies = await this.getApplicablePolicies(user, projectId);
+
+        return Promise.all(policies.map(async (policy) => {
+            const { start, resetsAt } = this.getWindow(policy.period);
+            const match = policy.scope === 'project'
+                ? { projectId: policy.targetId }
+                : { userId: user._id };
+            const usage = await this.getUsage(match, start);
+
+            // Requests come from the counter, which includes reservations in flight
+            const usedRequests = policy.maxRequests == null
+                ? usage.requests
+                : (await this.syncCounter(this.getCounter(policy, user, start), usage.requests, resetsAt)).requests;
+
+            const remainingRequests = policy.maxRequests == null ? null : Math.max(policy.maxRequests - usedRequests, 0);
+            const remainingTokens = policy.maxTokens == null ? null : Math.max(policy.maxTokens - usage.tokens, 0);
+
+            return {
+                policyId: policy._id,
+                scope: policy.scope,
+                targetId: policy.targetId,
+                period: policy.period,
+                maxRequests: policy.maxRequests,
+                maxTokens: policy.maxTokens,
+                usedRequests,
+                usedTokens: usage.tokens,
+                remainingRequests,
+                remainingTokens,
+                windowStart: start,
+                resetsAt,
+                exceeded: remainingRequests === 0 || remainingTokens === 0
+            };
+        }));
+    }
+
+    /**
+     * Check whether a user may start new generations
+     * requests is how many responses will be created (e.g. the rows of a batch).
+     * Resolves to { allowed, exceeded } where exceeded lists the tripped quotas
+     */
+    async checkQuota(user, projectId, requests = 1) {
+        const status = await this.getQuotaStatus(user, projectId);
+        const exceeded = status.filter(quota => quota.remainingTokens === 0
+            || (quota.remainingRequests !== null && quota.remainingRequests < requests));
+
+        return { allowed: exceeded.length === 0, exceeded, status };
+    }
+
+    /**
+     * Reserve requests against every request cap before responses are created
+     * Each counter is only incremented while it stays within its cap, so
+     * concurrent requests cannot overshoot. Resolves to { allowed, exceeded,
+     * reservation }; pass the reservation to release() if creation fails.
+     */
+    async reserve(user, projectId, requests = 1) {
+        const { allowed, exceeded, status } = await this.checkQuota(user, projectId, requests);
+        if (!allowed) return { allowed, exceeded };
+
+        const reservation = [];
+        for (const quota of status.filter(q => q.maxRequests != null)) {
+            const counter = this.getCounter(quota, user, quota.windowStart);
+            const reserved = await QuotaUsage.findOneAndUpdate(
+                { ...counter, requests: { $lt: quota.maxRequests - requests + 1 } },
+                { $inc: { requests } }
+            );
+
+            if (!reserved) {
+                // A concurrent request took the remaining budget first
+                await this.release(reservation);
+                const current = await QuotaUsage.findOne(counter).select('requests').lean();
+                const usedRequests = Math.min(current?.requests ?? quota.maxRequests, quota.maxRequests);
+                const remainingRequests = quota.maxRequests - usedRequests;
+                return {
+                    allowed: false,
+                    exceeded: [{ ...quota, usedRequests, remainingRequests, exceeded: remainingRequests === 0 }]
+                };
+            }
+
+            reservation.push({ counter, requests });
+        }
+
+        return { allowed: true, exceeded: [], reservation };
+    }
+
+    /**
+     * Give back reserved requests (the responses were never created)
+     */
+    async release(reservation = []) {
+        await Promise.all(reservation.map(({ counter, requests }) =>
+            QuotaUsage.updateOne(counter, { $inc: { requests: -requests } })));
+    }
+
+    /**
+     * Describe a tripped quota for error messages
+     */
+    describeQuota(quota) {
+        const period = quota.period === 'daily' ? 'Daily' : 'Monthly';
+        const resetsAt = quota.resetsAt.toISOString();
+
+        if (quota.remainingTokens !== 0 && quota.remainingRequests > 0) {
+            return `${period} ${quota.scope} quota only allows ${quota.remainingRequests} more requests, resets at ${resetsAt}`;
+        }
+
+        const limit = quota.remainingRequests === 0
+            ? `${quota.maxRequests} requests`
+            : `${quota.maxTokens} tokens`;
+
+        return `${period} ${quota.scope} quota of ${limit} exceeded, resets at ${resetsAt}`;
+    }
+
+    /**
+     * List quota policies
+     */
+    async listPolicies(filter = {}) {
+        return QuotaPolicy.find(filter).sort({ scope: 1, period: 1 }).lean();
+    }
+
+    /**
+     * Create or update the policy for a scope/target/period
+     */
+    async upsertPolicy({ scope, targetId = null, period, maxRequests = null, maxTokens = null, isActive = true }, userId) {
+        return QuotaPolicy.findOneAndUpdate(
+            { scope, targetId: scope === 'default' ? null : targetId, period },
+            {
+                $set: { maxRequests, maxTokens, isActive, updatedBy: userId },
+                $setOnInsert: { createdBy: userId }
+            },
+            { upsert: true, new: true, runValidators: true }
+        );
+    }
+
+    /**
+     * Delete a policy
+     */
+    async deletePolicy(id) {
+        return QuotaPolicy.findByIdAndDelete(id);
+    }
+}
+
+export default new AIQuotaService();
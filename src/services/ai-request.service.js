@@ -0,0 +1,101 @@
+import Project from '../api/v1/project/project.model';
+import modelRegistry from './model-registry.service';
+import aiQuota from './ai-quota.service';
+import aiModeration from './ai-moderation.service';
+
+// Default project names are cut to this many characters
+const PROJECT_NAME_LENGTH = 50;
+
+/**
+ * AI Request Service
+ * Setup shared by every way of starting generations (single prompts and
+ * batches): quota enforcement, project access, and the system prompt and
+ * moderation policy taken from the project.
+ */
+class AIRequestService {
+    /**
+     * Check quotas and resolve the project settings for new generations
+     * requests is how many responses will be created. Resolves to
+     * { project, settings }, where project is null when no projectId was given,
+     * or { error: { message, quotas, retryAfter } } (quotas only when a quota
+     * would be exceeded, otherwise the project was not found).
+     */
+    async prepare({ user, projectId, settings = {}, requests = 1 }) {
+        // Ownership first, so another user's project quota is never looked at
+        const project = projectId
+            ? await Project.findOne({ _id: projectId, userId: user._id })
+                .select('settings.systemPrompt settings.modelSystemPrompts settings.moderation')
+                .lean()
+            : null;
+
+        if (projectId && !project) {
+            return { error: { message: 'Project not found' } };
+        }
+
+        // Turn away requests over their quotas before any work is done
+        const quota = await aiQuota.checkQuota(user, projectId, requests);
+        if (!quota.allowed) {
+            return { error: this.quotaError(quota.exceeded) };
+        }
+
+        // System prompt: the request override, else the project's persona and per-model overrides
+        const resolved = settings.systemPrompt !== undefined
+            ? { ...settings, modelSystemPrompts: {} }
+            : {
+                ...settings,
+                systemPrompt: project?.settings?.systemPrompt || '',
+                modelSystemPrompts: project?.settings?.modelSystemPrompts || {}
+            };
+
+        // Moderation always follows the project's policy, never the request
+        resolved.moderation = aiModeration.getPolicy(project?.settings?.moderation);
+
+        return { project, settings: resolved };
+    }
+
+    /**
+     * Reserve the requests against the quotas right before responses are created
+     * prepare() only checks; this is what keeps concurrent requests under the caps.
+     * Resolves to { reservation }, to pass to aiQuota.release() if creation
+     * fails, or { error } shaped like prepare()'s quota errors.
+     */
+    async reserve({ user, projectId, requests = 1 }) {
+        const quota = await aiQuota.reserve(user, projectId, requests);
+        if (!quota.allowed) {
+            return { error: this.quotaError(quota.exceeded) };
+        }
+        return { reservation: quota.reservation };
+    }
+
+    /**
+     * Build the error for tripped quotas, retrying once the last one resets
+     */
+    quotaError(exceeded) {
+        const resetsAt = Math.max(...exceeded.map(q => q.resetsAt.getTime()));
+        return {
+            message: aiQuota.describeQuota(exceeded[0]),
+            quotas: exceeded,
+            retryAfter: Math.ceil((resetsAt - Date.now()) / 1000)
+        };
+    }
+
+    /**
+     * Create the project used when a request names none
+     * Create it only once the request has passed every check.
+     */
+    async createDefaultProject(userId, name) {
+        const project = new Project({
+            name: name.length > PROJECT_NAME_LENGTH ? `${name.substring(0, PROJECT_NAME_LENGTH)}...` : name,
+            userId,
+            createdBy: userId,
+            settings: {
+                temperature: 0.7,
+                maxTokens: 2000,
+                enabledModels: modelRegistry.ids()
+            }
+        });
+        return project.save();
+    }
+}
+
+export default new AIRequestService();
@@ -0,0 +1,247 @@
+import mongoose from 'mongoose';
+
+import AIResponse, { TEXT_INDEX_NAME } from '../api/v1/ai/ai.model';
+import AIFeedback from '../api/v1/ai/ai-feedback.model';
+import Project from '../api/v1/project/project.model';
+import modelRegistry from './model-registry.service';
+
+// Characters of context shown on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 80;
+// Projects listed in the project facet
+const PROJECT_FACET_LIMIT = 20;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * AI Search Service
+ * Full-text search over prompts and every model's answer, backed by the
+ * AIResponse text index (prompt matches weigh more). Results are ranked by
+ * text score (or date), come with highlighted snippets per matching field,
+ * and are returned with facet counts by model, status and project.
+ */
+class AISearchService {
+    /**
+     * Make sure the AIResponse text index covers the current model set
+     * MongoDB allows a single text index per collection, so an outdated one
+     * (e.g. the old prompt-only index, or one from before a model was added)
+     * is dropped before the schema's indexes are built.
+     */
+    async ensureTextIndex() {
+        try {
+            const wanted = ['prompt', ...modelRegistry.responseFields().map(field => `${field}.response`)].sort();
+            const indexes = await AIResponse.collection.indexes();
+            const textIndexes = indexes.filter(index => index.key?._fts === 'text');
+
+            const current = textIndexes.find(index => index.name === TEXT_INDEX_NAME
+                && Object.keys(index.weights || {}).sort().join() === wanted.join());
+            if (current && textIndexes.length === 1) return;
+
+            for (const index of textIndexes.filter(index => index !== current)) {
+                console.log(`[Search] Dropping outdated text index ${index.name}`);
+                await AIResponse.collection.dropIndex(index.name);
+            }
+            await AIResponse.createIndexes();
+            console.log('[Search] Text index ready');
+        } catch (error) {
+            console.error('[Search] Error updating the text index:', error.message);
+        }
+    }
+
+    /**
+     * Split a $text search string into the terms and phrases to highlight
+     * (negated terms are left out)
+     */
+    getHighlightTerms(query) {
+        const terms = [];
+        const phrasePattern = /"([^"]+)"/g;
+        let match;
+        while ((match = phrasePattern.exec(query)) !== null) {
+            terms.push(match[1].trim());
+        }
+
+        query.replace(phrasePattern, ' ')
+            .split(/\s+/)
+            .filter(term => term && !term.startsWith('-'))
+            .forEach(term => terms.push(term.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')));
+
+        // Longest first so a phrase wins over the words inside it; single characters would mark too much
+        return [...new Set(terms.filter(term => term.length > 1))].sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Build a snippet around the first match in text, with matches wrapped in <mark>
+     * Terms match word prefixes, so "deploy" also marks "deployment". The
+     * snippet is HTML-escaped; returns null when nothing matches.
+     */
+    buildSnippet(text, terms) {
+        if (!text || terms.length === 0) return null;
+
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})`, 'giu');
+        const first = pattern.exec(text);
+        if (!first) return null;
+
+        const matchEnd = first.index + first[0].length;
+        let start = Math.max(first.index - SNIPPET_CONTEXT, 0);
+        let end = Math.min(matchEnd + SNIPPET_CONTEXT, text.length);
+        // Avoid cutting words at the edges
+        const startSpace = text.indexOf(' ', start);
+        if (start > 0 && startSpace !== -1 && startSpace < first.index) start = startSpace + 1;
+        const endSpace = text.lastIndexOf(' ', end);
+        if (end < text.length && endSpace > matchEnd) end = endSpace;
+
+        const excerpt = text.substring(start, end);
+        let snippet = '';
+        let last = 0;
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(excerpt)) !== null) {
+            snippet += `${escapeHtml(excerpt.substring(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+        snippet += escapeHtml(excerpt.substring(last));
+
+        return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Build the $match stage for a search
+     */
+    async buildMatch(userId, { q, model, status, projectId, startDate, endDate, selectedOnly, minRating }) {
+        const match = {
+            userId: new mongoose.Types.ObjectId(String(userId)),
+            $text: { $search: q }
+        };
+
+        if (projectId) match.projectId = new mongoose.Types.ObjectId(projectId);
+        if (status) match.overallStatus = status;
+        if (model) match[`${modelRegistry.responseField(model)}.status`] = 'success';
+
+        if (selectedOnly) {
+            match.selectedModel = model || { $ne: null };
+        }
+
+        if (startDate || endDate) {
+            match.createdAt = {};
+            if (startDate) match.createdAt.$gte = new Date(startDate);
+            if (endDate) match.createdAt.$lte = new Date(endDate);
+        }
+
+        // Ratings live in the feedback collection: restrict to responses the user rated high enough
+        if (minRating) {
+            const feedbackQuery = { userId: match.userId, rating: { $gte: minRating } };
+            if (model) feedbackQuery.model = model;
+            match._id = { $in: await AIFeedback.distinct('responseId', feedbackQuery) };
+        }
+
+        return match;
+    }
+
+    /**
+     * Search the user's prompts and model answers
+     * Resolves to { results, total, page, totalPages, facets }; each result
+     * lists the fields that matched (prompt or model id) with a snippet.
+     */
+    async search(userId, { q, model, status, projectId, startDate, endDate, selectedOnly = false, minRating, sort = 'relevance', page = 1, limit = 20 }) {
+        const match = await this.buildMatch(userId, { q, model, status, projectId, startDate, endDate, selectedOnly, minRating });
+        const models = model ? [model] : modelRegistry.ids();
+
+        const modelCounters = {};
+        modelRegistry.ids().forEach(id => {
+            modelCounters[id] = {
+                $sum: { $cond: [{ $eq: [`$${modelRegistry.responseField(id)}.status`, 'success'] }, 1, 0] }
+            };
+        });
+
+        const projection = { prompt: 1, projectId: 1, overallStatus: 1, selectedModel: 1, createdAt: 1, score: 1 };
+        models.forEach(id => {
+            projection[`${modelRegistry.responseField(id)}.response`] = 1;
+            projection[`${modelRegistry.responseField(id)}.status`] = 1;
+        });
+
+        const [result] = await AIResponse.aggregate([
+            { $match: match },
+            { $addFields: { score: { $meta: 'textScore' } } },
+            {
+                $facet: {
+                    results: [
+                        { $sort: sort === 'recent' ? { createdAt: -1 } : { score: -1, createdAt: -1 } },
+                        { $skip: (page - 1) * limit },
+                        { $limit: limit },
+                        { $project: projection }
+                    ],
+                    total: [{ $count: 'count' }],
+                    byStatus: [{ $group: { _id: '$overallStatus', count: { $sum: 1 } } }],
+                    byProject: [
+                        { $group: { _id: '$projectId', count: { $sum: 1 } } },
+                        { $sort: { count: -1 } },
+                        { $limit: PROJECT_FACET_LIMIT }
+                    ],
+                    byModel: [{ $group: { _id: null, ...modelCounters } }]
+                }
+            }
+        ]);
+
+        const total = result.total[0]?.count || 0;
+
+        const projectIds = [...new Set([
+            ...result.results.map(aiResponse => String(aiResponse.projectId)),
+            ...result.byProject.map(facet => String(facet._id))
+        ])].filter(id => mongoose.Types.ObjectId.isValid(id));
+        const projects = await Project.find({ _id: { $in: projectIds } }).select('name').lean();
+        const projectNames = new Map(projects.map(project => [String(project._id), project.name]));
+
+        const terms = this.getHighlightTerms(q);
+
+        const results = result.results.map(aiResponse => {
+            const matches = [];
+
+            const promptSnippet = this.buildSnippet(aiResponse.prompt, terms);
+            if (promptSnippet) matches.push({ field: 'prompt', snippet: promptSnippet });
+
+            models.forEach(id => {
+                const modelResponse = aiResponse[modelRegistry.responseField(id)];
+                const snippet = modelResponse?.status === 'success' && this.buildSnippet(modelResponse.response, terms);
+                if (snippet) matches.push({ field: id, snippet });
+            });
+
+            return {
+                _id: aiResponse._id,
+                prompt: aiResponse.prompt,
+                projectId: aiResponse.projectId,
+                projectName: projectNames.get(String(aiResponse.projectId)) || null,
+                overallStatus: aiResponse.overallStatus,
+                selectedModel: aiResponse.selectedModel || null,
+                createdAt: aiResponse.createdAt,
+                score: Math.round(aiResponse.score * 1000) / 1000,
+                matches
+            };
+        });
+
+        const modelFacet = result.byModel[0] || {};
+
+        return {
+            results,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            facets: {
+                models: modelRegistry.ids()
+                    .map(id => ({ model: id, count: modelFacet[id] || 0 }))
+                    .filter(facet => facet.count > 0),
+                statuses: result.byStatus.map(facet => ({ status: facet._id, count: facet.count })),
+                projects: result.byProject.map(facet => ({
+                    projectId: facet._id,
+                    name: projectNames.get(String(facet._id)) || null,
+                    count: facet.count
+                }))
+            }
+        };
+    }
+}
+
+export default new AISearchService();
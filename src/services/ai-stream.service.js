@@ -0,0 +1,70 @@
+import { EventEmitter } from 'events';
+
+/**
+ * AI Stream Service
+ * In-process pub/sub for generation progress. Background generation publishes
+ * per-model deltas and completion events keyed by AIResponse id; the SSE
+ * endpoint subscribes and forwards them to the client.
+ */
+class AIStreamService {
+    constructor() {
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0); // One listener per open SSE connection
+    }
+
+    /**
+     * Publish an event for an AI response
+     */
+    publish(responseId, event, data) {
+        this.emitter.emit(String(responseId), { event, data });
+    }
+
+    /**
+     * Subscribe to events for an AI response
+     * Returns a function that removes the listener
+     */
+    subscribe(responseId, listener) {
+        const channel = String(responseId);
+        this.emitter.on(channel, listener);
+        return () => this.emitter.off(channel, listener);
+    }
+
+    /**
+     * Publish a text delta for one model
+     */
+    publishDelta(responseId, model, content) {
+        this.publish(responseId, 'delta', { model, content });
+    }
+
+    /**
+     * Publish a finished model result (success or error)
+     */
+    publishModelResult(responseId, model, result) {
+        if (result.status === 'success') {
+            this.publish(responseId, 'model-complete', { model, response: result });
+        } else {
+            this.publish(responseId, 'model-error', { model, errorMessage: result.errorMessage });
+        }
+    }
+
+    /**
+     * Publish the overall status once every model has finished
+     */
+    publishDone(responseId, aiResponse) {
+        this.publish(responseId, 'done', this.getDonePayload(aiResponse));
+    }
+
+    /**
+     * Build the payload of the final 'done' event
+     */
+    getDonePayload(aiResponse) {
+        return {
+            overallStatus: aiResponse.overallStatus,
+            completedModels: aiResponse.completedModels,
+            failedModels: aiResponse.failedModels,
+            totalDuration: aiResponse.totalDuration
+        };
+    }
+}
+
+export default new AIStreamService();
@@ -0,0 +1,110 @@
+import Ajv from 'ajv';
+
+/**
+ * AI Structured Output Service
+ * JSON Schema output mode: tells models to answer with JSON, then parses and
+ * validates their text against the requested schema (via Ajv).
+ */
+class AIStructuredOutputService {
+    constructor() {
+        this.ajv = new Ajv({ allErrors: true, strict: false });
+        this.validators = new Map(); // Compiled validators keyed by serialized schema, least recently used first
+        this.maxValidators = parseInt(process.env.AI_JSON_SCHEMA_CACHE_SIZE) || 100;
+        this.maxRepairAttempts = parseInt(process.env.AI_JSON_REPAIR_ATTEMPTS ?? '1');
+    }
+
+    /**
+     * Compile (and cache) a schema; throws when the schema itself is invalid
+     * Only the maxValidators most recently used schemas are kept, in this
+     * cache and in Ajv's own.
+     */
+    compile(schema) {
+        const key = JSON.stringify(schema);
+        const cached = this.validators.get(key);
+        if (cached) {
+            this.validators.delete(key);
+            this.validators.set(key, cached);
+            return cached.validate;
+        }
+
+        let validate;
+        try {
+            validate = this.ajv.compile(schema);
+        } catch (error) {
+            this.ajv.removeSchema(schema);
+            throw error;
+        }
+
+        if (this.validators.size >= this.maxValidators) {
+            const [oldestKey, oldest] = this.validators.entries().next().value;
+            this.validators.delete(oldestKey);
+            this.ajv.removeSchema(oldest.schema);
+        }
+        this.validators.set(key, { schema, validate });
+        return validate;
+    }
+
+    /**
+     * Check whether a value is a usable JSON Schema
+     */
+    isValidSchema(schema) {
+        try {
+            this.compile(schema);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * System prompt instruction asking for schema-conforming JSON
+     */
+    buildInstruction(schema) {
+        return 'Respond only with a single JSON value that conforms to the following JSON Schema. '
+            + 'Do not add explanations or markdown code fences.\n'
+            + JSON.stringify(schema);
+    }
+
+    /**
+     * Follow-up prompt asking a model to fix its previous answer
+     */
+    buildRepairPrompt(errors) {
+        return 'Your previous reply was not valid for the required JSON Schema:\n'
+            + errors.map(error => `- ${error}`).join('\n')
+            + '\nReply again with only the corrected JSON.';
+    }
+
+    /**
+     * Parse model text as JSON, tolerating a surrounding markdown code fence
+     */
+    parse(text = '') {
+        const fenced = /^\s*```(?:json)?\s*([\s\S]*?)\s*```\s*$/i.exec(text);
+        return JSON.parse(fenced ? fenced[1] : text);
+    }
+
+    /**
+     * Parse and validate model text against a schema
+     * Resolves to { valid, parsed, errors }
+     */
+    evaluate(schema, text) {
+        let parsed;
+        try {
+            parsed = this.parse(text);
+        } catch (error) {
+            return { valid: false, parsed: null, errors: [`Invalid JSON: ${error.message}`] };
+        }
+
+        const validate = this.compile(schema);
+        if (validate(parsed)) {
+            return { valid: true, parsed, errors: [] };
+        }
+
+        return {
+            valid: false,
+            parsed,
+            errors: validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`)
+        };
+    }
+}
+
+export default new AIStructuredOutputService();
@@ -0,0 +1,186 @@
+import AIResponse from '../api/v1/ai/ai.model';
+import aiService from './ai.service';
+import aiStream from './ai-stream.service';
+import modelRegistry from './model-registry.service';
+
+/**
+ * AI Synthesis Service
+ * Merges the successful answers of an AI response into one answer written by
+ * a synthesizer model. The result is stored as a new AIResponse (kind
+ * 'synthesis') linked to the original, with per-model attributions, and sits
+ * next to the original in the conversation tree so it can be continued.
+ */
+class AISynthesisService {
+    constructor() {
+        this.defaultModel = process.env.AI_SYNTHESIS_MODEL || null;
+        // A running synthesis older than this is treated as abandoned and may be claimed again
+        this.claimTimeoutMs = parseInt(process.env.AI_SYNTHESIS_CLAIM_TIMEOUT_MS) || 10 * 60 * 1000;
+    }
+
+    /**
+     * Get the synthesizer model id (request, AI_SYNTHESIS_MODEL, else the first registered model)
+     */
+    getSynthesisModel(requested) {
+        return requested || this.defaultModel || modelRegistry.ids()[0];
+    }
+
+    /**
+     * JSON Schema of the synthesizer's answer
+     */
+    buildSchema(labels) {
+        return {
+            type: 'object',
+            properties: {
+                answer: { type: 'string' },
+                attributions: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            candidate: { type: 'string', enum: labels },
+                            contribution: { type: 'string' }
+                        },
+                        required: ['candidate', 'contribution']
+                    }
+                }
+            },
+            required: ['answer', 'attributions']
+        };
+    }
+
+    /**
+     * Build the merge prompt
+     */
+    buildPrompt(prompt, answers, labels) {
+        const candidates = answers
+            .map((answer, index) => `### Candidate ${labels[index]}\n${answer.response}`)
+            .join('\n\n');
+
+        return 'Several AI models answered the same prompt. Write one answer that combines their strongest, '
+            + 'correct parts, resolves contradictions in favour of the most accurate candidate and drops anything wrong '
+            + 'or redundant. Then list which candidates contributed and what each contributed.\n\n'
+            + `## Prompt\n${prompt}\n\n`
+            + `## Candidate answers\n${candidates}`;
+    }
+
+    /**
+     * Synthesize an AI response's answers into a new linked response
+     * Resolves to the new response, or null when a synthesis is already running.
+     */
+    async synthesize(responseId, { model, userId } = {}) {
+        // Claim the response so concurrent triggers synthesize it only once; a stale
+        // claim (its worker died mid-synthesis) can be taken over
+        const claimedAt = new Date();
+        const claimed = await AIResponse.findOneAndUpdate(
+            {
+                _id: responseId,
+                $or: [
+                    { 'synthesis.status': { $ne: 'running' } },
+                    { 'synthesis.claimedAt': null },
+                    { 'synthesis.claimedAt': { $lt: new Date(claimedAt.getTime() - this.claimTimeoutMs) } }
+                ]
+            },
+            { $set: { 'synthesis.status': 'running', 'synthesis.errorMessage': null, 'synthesis.claimedAt': claimedAt } },
+            { new: true }
+        );
+
+        if (!claimed) return null;
+
+        // Writes only land while the claim is still ours
+        const claim = { _id: claimed._id, 'synthesis.claimedAt': claimedAt };
+
+        const synthesisModel = this.getSynthesisModel(model);
+
+        try {
+            const successful = Object.values(claimed.getSuccessfulResponses());
+            if (successful.length < 2) {
+                throw new Error('At least two successful responses are needed to synthesize');
+            }
+
+            const labels = successful.map((answer, index) => String.fromCharCode(65 + index)); // A, B, C...
+            const result = await aiService.generateSingleModelResponse(
+                synthesisModel,
+                this.buildPrompt(claimed.prompt, successful, labels),
+                {
+                    temperature: claimed.settings?.temperature ?? 0.7,
+                    maxTokens: Math.max(claimed.settings?.maxTokens || 0, 4000),
+                    responseSchema: this.buildSchema(labels),
+                    moderation: claimed.settings?.moderation
+                },
+                { userId: userId || claimed.userId }
+            );
+
+            if (result.status !== 'success') {
+                throw new Error(result.errorMessage || 'Synthesizer model failed');
+            }
+            if (!result.parsedResponse) {
+                throw new Error('Synthesized answer could not be read after moderation');
+            }
+
+            const { answer, attributions } = result.parsedResponse;
+            const synthesized = new AIResponse({
+                prompt: claimed.prompt,
+                userId: claimed.userId,
+                projectId: claimed.projectId,
+                kind: 'synthesis',
+                synthesizedFrom: claimed._id,
+                // Same place in the conversation as the original
+                previousResponseId: claimed.previousResponseId || null,
+                parentModel: claimed.parentModel || null,
+                settings: {
+                    temperature: claimed.settings?.temperature,
+                    maxTokens: claimed.settings?.maxTokens,
+                    enabledModels: [synthesisModel],
+                    moderation: claimed.settings?.moderation
+                },
+                attributions: attributions.map(attribution => ({
+                    model: successful[labels.indexOf(attribution.candidate)].model,
+                    contribution: attribution.contribution
+                })),
+                totalModels: 1,
+                selectedModel: synthesisModel,
+                [modelRegistry.responseField(synthesisModel)]: {
+                    ...result,
+                    response: answer,
+                    parsedResponse: undefined,
+                    createdAt: result.createdAt || new Date()
+                },
+                moderationLog: result.moderation
+                    ? [{ stage: 'output', model: synthesisModel, ...result.moderation }]
+                    : [],
+                createdBy: userId || claimed.userId
+            });
+            await synthesized.save();
+
+            const { matchedCount } = await AIResponse.updateOne(
+                claim,
+                {
+                    synthesis: {
+                        status: 'completed',
+                        responseId: synthesized._id,
+                        model: synthesisModel,
+                        claimedAt
+                    }
+                }
+            );
+            if (matchedCount === 0) {
+                await AIResponse.deleteOne({ _id: synthesized._id });
+                console.log(`[Synthesis] ${claimed._id} was claimed again before the synthesis finished`);
+                return null;
+            }
+            aiStream.publish(claimed._id, 'synthesis', { responseId: synthesized._id, model: synthesisModel });
+
+            console.log(`[Synthesis] ${claimed._id} synthesized by ${synthesisModel} into ${synthesized._id}`);
+
+            return synthesized;
+        } catch (error) {
+            await AIResponse.updateOne(
+                claim,
+                { synthesis: { status: 'failed', model: synthesisModel, errorMessage: error.message, claimedAt } }
+            );
+            throw error;
+        }
+    }
+}
+
+export default new AISynthesisService();
@@ -0,0 +1,95 @@
+import PromptTemplate from '../api/v1/ai/ai-template.model';
+
+// {{ name }} placeholders; names may contain letters, digits, _ and .
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][\w.]*)\s*\}\}/g;
+
+/**
+ * AI Template Service
+ * Prompt templates with {{variable}} placeholders: variable discovery,
+ * rendering and access rules (own templates plus shared ones).
+ */
+class AITemplateService {
+    /**
+     * Get the unique placeholder names used in template content
+     */
+    extractVariables(content = '') {
+        return [...new Set([...content.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+    }
+
+    /**
+     * Merge declared variables with the placeholders found in the content
+     * Placeholders without a declaration become required variables.
+     */
+    buildVariables(content, declared = []) {
+        return this.extractVariables(content).map(name => {
+            const variable = declared.find(v => v.name === name);
+            return {
+                name,
+                description: variable?.description,
+                defaultValue: variable?.defaultValue ?? null,
+                required: variable?.required ?? true
+            };
+        });
+    }
+
+    /**
+     * Get the names of required variables that have no value or default
+     */
+    getMissingVariables(template, values = {}) {
+        return template.variables
+            .filter(variable => variable.required
+                && (values[variable.name] === undefined || values[variable.name] === null || values[variable.name] === '')
+                && variable.defaultValue === null)
+            .map(variable => variable.name);
+    }
+
+    /**
+     * Render a template with variable values (falling back to defaults)
+     */
+    render(template, values = {}) {
+        return template.content.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+            const variable = template.variables.find(v => v.name === name);
+            const value = values[name] ?? variable?.defaultValue ?? '';
+            return String(value);
+        });
+    }
+
+    /**
+     * Fill {{variable}} placeholders in free text, leaving unknown ones untouched
+     */
+    interpolate(content, values = {}) {
+        return content.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (
+            values[name] !== undefined && values[name] !== null ? String(values[name]) : placeholder
+        ));
+    }
+
+    /**
+     * Get the template's default settings, leaving out unset values
+     */
+    getDefaultSettings(template) {
+        const defaults = {};
+        const { temperature, maxTokens, enabledModels } = template.settings || {};
+
+        if (temperature !== undefined && temperature !== null) defaults.temperature = temperature;
+        if (maxTokens) defaults.maxTokens = maxTokens;
+        if (enabledModels?.length > 0) defaults.enabledModels = [...enabledModels];
+
+        return defaults;
+    }
+
+    /**
+     * Query for the templates a user can use: their own and shared ones
+     */
+    accessibleQuery(userId) {
+        return { $or: [{ userId }, { scope: 'shared' }] };
+    }
+
+    /**
+     * Find a template the user can use
+     */
+    async findAccessible(id, userId) {
+        return PromptTemplate.findOne({ _id: id, ...this.accessibleQuery(userId) });
+    }
+}
+
+export default new AITemplateService();
@@ -0,0 +1,350 @@
+import axios from 'axios';
+
+import AIResponse from '../api/v1/ai/ai.model';
+import knowledge from './knowledge.service';
+import modelRegistry from './model-registry.service';
+import { assertPublicHost, publicLookup } from '../utils/ipUtil';
+
+// Tool results are cut to this many characters before going back to the model
+const MAX_RESULT_CHARS = 8000;
+const HTTP_TIMEOUT_MS = 10000;
+const HTTP_MAX_BYTES = 1024 * 1024;
+// Upper bound for settings.tools.maxIterations
+const MAX_ITERATIONS_LIMIT = 10;
+
+const MATH_CONSTANTS = { pi: Math.PI, e: Math.E };
+const MATH_FUNCTIONS = {
+    abs: Math.abs, sqrt: Math.sqrt, cbrt: Math.cbrt, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+    log: Math.log10, ln: Math.log, exp: Math.exp, sin: Math.sin, cos: Math.cos, tan: Math.tan,
+    min: Math.min, max: Math.max, pow: Math.pow
+};
+
+/**
+ * Evaluate an arithmetic expression: numbers, + - * / % ^, parentheses,
+ * the constants pi and e, and the functions in MATH_FUNCTIONS
+ */
+const evaluateExpression = (expression) => {
+    const tokens = expression.match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z]+|[-+*/%^(),]|\S/gi) || [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (token) => {
+        if (next() !== token) throw new Error(`Expected "${token}"`);
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+        if (token === undefined) throw new Error('Unexpected end of expression');
+        if (token === '(') {
+            const value = parseSum();
+            expect(')');
+            return value;
+        }
+        if (token === '-') return -parsePower();
+        if (token === '+') return parsePower();
+        if (/^\d*\.?\d+/.test(token)) return parseFloat(token);
+
+        const name = token.toLowerCase();
+        if (name in MATH_CONSTANTS) return MATH_CONSTANTS[name];
+        if (name in MATH_FUNCTIONS) {
+            expect('(');
+            const args = [parseSum()];
+            while (peek() === ',') {
+                next();
+                args.push(parseSum());
+            }
+            expect(')');
+            return MATH_FUNCTIONS[name](...args);
+        }
+        throw new Error(`Unknown token "${token}"`);
+    };
+
+    // ^ is right-associative and binds tighter than unary minus on its left operand
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (peek() === '^') {
+            next();
+            return Math.pow(base, parsePower());
+        }
+        return base;
+    };
+
+    const parseProduct = () => {
+        let value = parsePower();
+        while (['*', '/', '%'].includes(peek())) {
+            const operator = next();
+            const operand = parsePower();
+            if (operator === '*') value *= operand;
+            else if (operator === '/') value /= operand;
+            else value %= operand;
+        }
+        return value;
+    };
+
+    const parseSum = () => {
+        let value = parseProduct();
+        while (['+', '-'].includes(peek())) {
+            value = next() === '+' ? value + parseProduct() : value - parseProduct();
+        }
+        return value;
+    };
+
+    const result = parseSum();
+    if (position < tokens.length) throw new Error(`Unexpected token "${peek()}"`);
+    if (!Number.isFinite(result)) throw new Error('Result is not a finite number');
+    return result;
+};
+
+/**
+ * AI Tools Service
+ * Registry of server-side tools models can call during generation. Tools are
+ * offered to models with `tools: true` in their definition, as OpenAI-style
+ * function tools, when a request sets settings.tools.enabled. Each tool runs
+ * with the requesting user's and project's scope.
+ *
+ * Permissions: AI_TOOLS lists the tools enabled server-wide (default: all;
+ * http_fetch additionally needs AI_TOOL_HTTP_HOSTS), and a request can narrow
+ * them further with settings.tools.allowed.
+ */
+class AIToolsService {
+    constructor() {
+        this.maxIterations = parseInt(process.env.AI_TOOLS_MAX_ITERATIONS) || 5;
+        this.httpHosts = (process.env.AI_TOOL_HTTP_HOSTS || '')
+            .split(',')
+            .map(host => host.trim().toLowerCase())
+            .filter(Boolean);
+
+        this.tools = {
+            get_current_datetime: {
+                description: 'Get the current date and time, optionally in an IANA time zone (e.g. "Asia/Kolkata").',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        timeZone: { type: 'string', description: 'IANA time zone name; defaults to UTC' }
+                    }
+                },
+                handler: ({ timeZone = 'UTC' }) => {
+                    const now = new Date();
+                    return {
+                        iso: now.toISOString(),
+                        timeZone,
+                        local: now.toLocaleString('en-US', { timeZone, dateStyle: 'full', timeStyle: 'long' })
+                    };
+                }
+            },
+            calculate: {
+                description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and '
+                    + 'sqrt, cbrt, abs, round, floor, ceil, log, ln, exp, sin, cos, tan, min, max, pow.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        expression: { type: 'string', description: 'Expression to evaluate, e.g. "(12.5 * 4) ^ 2"' }
+                    },
+                    required: ['expression']
+                },
+                handler: ({ expression }) => ({ expression, result: evaluateExpression(String(expression)) })
+            },
+            search_project_knowledge: {
+                description: 'Search the documents in the current project\'s knowledge base and return the most relevant excerpts.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        query: { type: 'string', description: 'What to look for' },
+                        limit: { type: 'integer', description: 'Number of excerpts (1-10, default 5)' }
+                    },
+                    required: ['query']
+                },
+                handler: async ({ query, limit = 5 }, { projectId, userId }) => {
+                    if (!projectId || !userId) throw new Error('No project in scope');
+                    const citations = await knowledge.search(projectId, userId, String(query), {
+                        topK: Math.min(Math.max(parseInt(limit) || 5, 1), 10)
+                    });
+                    return citations.map(({ documentName, chunkIndex, score, text }) => ({ documentName, chunkIndex, score, text }));
+                }
+            },
+            search_response_history: {
+                description: 'Search the user\'s earlier prompts and answers, returning the answers they selected.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        query: { type: 'string', description: 'Words to search the earlier prompts and answers for' },
+                        limit: { type: 'integer', description: 'Number of results (1-10, default 5)' }
+                    },
+                    required: ['query']
+                },
+                handler: async ({ query, limit = 5 }, { userId }) => {
+                    if (!userId) throw new Error('No user in scope');
+                    const responses = await AIResponse.find({ userId, $text: { $search: String(query) } })
+                        .sort({ score: { $meta: 'textScore' } })
+                        .limit(Math.min(Math.max(parseInt(limit) || 5, 1), 10))
+                        .lean();
+
+                    return responses.map(aiResponse => ({
+                        id: aiResponse._id,
+                        prompt: aiResponse.prompt,
+                        createdAt: aiResponse.createdAt,
+                        selectedModel: aiResponse.selectedModel || null,
+                        answer: aiResponse.selectedModel
+                            ? aiResponse[modelRegistry.responseField(aiResponse.selectedModel)]?.response?.substring(0, 2000)
+                            : null
+                    }));
+                }
+            },
+            http_fetch: {
+                description: 'Fetch a web page or API response with an HTTP GET request (allow-listed hosts only).',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        url: { type: 'string', description: 'Absolute http(s) URL' }
+                    },
+                    required: ['url']
+                },
+                available: () => this.httpHosts.length > 0,
+                handler: async ({ url }) => {
+                    if (!this.isAllowedUrl(url)) throw new Error(`Host not allowed: ${url}`);
+                    assertPublicHost(url);
+
+                    const response = await axios.get(url, {
+                        timeout: HTTP_TIMEOUT_MS,
+                        maxContentLength: HTTP_MAX_BYTES,
+                        maxRedirects: 0,
+                        lookup: publicLookup,
+                        responseType: 'text',
+                        validateStatus: () => true
+                    });
+
+                    return {
+                        status: response.status,
+                        contentType: response.headers['content-type'] || null,
+                        body: String(response.data)
+                    };
+                }
+            }
+        };
+
+        const enabled = (process.env.AI_TOOLS || '')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+        this.enabledTools = enabled.length > 0
+            ? enabled.filter(name => this.tools[name])
+            : Object.keys(this.tools);
+    }
+
+    /**
+     * Names of every registered tool
+     */
+    names() {
+        return Object.keys(this.tools);
+    }
+
+    /**
+     * Tools enabled server-wide, with their availability
+     */
+    list() {
+        return this.names().map(name => ({
+            name,
+            description: this.tools[name].description,
+            parameters: this.tools[name].parameters,
+            enabled: this.enabledTools.includes(name) && (this.tools[name].available?.() ?? true)
+        }));
+    }
+
+    /**
+     * Whether a model can be offered tools (tools: true in its definition)
+     */
+    supportsTools(modelName) {
+        return modelRegistry.get(modelName)?.tools === true;
+    }
+
+    /**
+     * Whether an http_fetch URL points at an allow-listed host
+     */
+    isAllowedUrl(url) {
+        try {
+            const { protocol, hostname } = new URL(url);
+            return ['http:', 'https:'].includes(protocol) && this.httpHosts.includes(hostname.toLowerCase());
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Names of the tools a request may use: the server-enabled tools, narrowed
+     * by settings.tools.allowed
+     */
+    getAllowedTools(toolSettings = {}) {
+        return this.list()
+            .filter(tool => tool.enabled)
+            .map(tool => tool.name)
+            .filter(name => !toolSettings.allowed?.length || toolSettings.allowed.includes(name));
+    }
+
+    /**
+     * Maximum model turns that may request tool calls
+     */
+    getMaxIterations(toolSettings = {}) {
+        return Math.min(toolSettings.maxIterations || this.maxIterations, MAX_ITERATIONS_LIMIT);
+    }
+
+    /**
+     * OpenAI-style tool definitions for the given tool names
+     */
+    getDefinitions(names) {
+        return names.map(name => ({
+            type: 'function',
+            function: {
+                name,
+                description: this.tools[name].description,
+                parameters: this.tools[name].parameters
+            }
+        }));
+    }
+
+    /**
+     * Run one tool call requested by a model
+     * Never throws: resolves to the audit record { id, name, arguments, result,
+     * status, errorMessage, durationMs }, where result is the text sent back to
+     * the model.
+     */
+    async execute(toolCall, allowed, context = {}) {
+        const startTime = Date.now();
+        const record = { id: toolCall.id, name: toolCall.name, arguments: toolCall.arguments };
+
+        const finish = (status, result, errorMessage) => ({
+            ...record,
+            status,
+            result: result.length > MAX_RESULT_CHARS ? `${result.substring(0, MAX_RESULT_CHARS)}... (truncated)` : result,
+            errorMessage,
+            durationMs: Date.now() - startTime
+        });
+
+        if (!allowed.includes(toolCall.name)) {
+            const message = this.tools[toolCall.name]
+                ? `Tool ${toolCall.name} is not permitted for this request`
+                : `Unknown tool: ${toolCall.name}`;
+            return finish('denied', JSON.stringify({ error: message }), message);
+        }
+
+        let args;
+        try {
+            args = typeof toolCall.arguments === 'string'
+                ? JSON.parse(toolCall.arguments || '{}')
+                : toolCall.arguments || {};
+            record.arguments = args;
+        } catch {
+            const message = 'Arguments are not valid JSON';
+            return finish('error', JSON.stringify({ error: message }), message);
+        }
+
+        try {
+            const result = await this.tools[toolCall.name].handler(args, context);
+            return finish('success', typeof result === 'string' ? result : JSON.stringify(result));
+        } catch (error) {
+            return finish('error', JSON.stringify({ error: error.message }), error.message);
+        }
+    }
+}
+
+export default new AIToolsService();
@@ -1,4 +1,15 @@
-import axios from 'axios';
+import modelRegistry from './model-registry.service';
+import aiConversation from './ai-conversation.service';
+import aiPricing from './ai-pricing.service';
+import userApiKeys from './user-api-key.service';
+import aiBreaker from './ai-circuit-breaker.service';
+import structuredOutput from './ai-structured-output.service';
+import aiCache from './ai-cache.service';
+import aiAttachment from './ai-attachment.service';
+import knowledge from './knowledge.service';
+import aiTools from './ai-tools.service';
+import aiModeration from './ai-moderation.service';
+import { getAdapter } from './ai-adapters';
 
 /**
  * AI Service for handling multiple AI model integrations
@@ -9,43 +20,22 @@ class AIService {
     constructor() {
         // Check if we're in test/development mode
         this.testMode = process.env.AI_TEST_MODE === 'true' || process.env.NODE_ENV === 'development';
-
-        // Using OpenRouter for unified API access (similar to frontend)
-        this.openRouterEndpoint = 'https://openrouter.ai/api/v1/chat/completions';
-
-        this.providers = {
-            gemini: {
-                name: 'Gemini',
-                apiModel: 'google/gemini-2.0-flash-exp:free',
-                apiKey: process.env.OPENROUTER_API_KEY || process.env.GEMINI_API_KEY,
-                enabled: !!(process.env.OPENROUTER_API_KEY || process.env.GEMINI_API_KEY) || this.testMode
-            },
-            deepseek: {
-                name: 'DeepSeek',
-                apiModel: 'tngtech/deepseek-r1t2-chimera:free',
-                apiKey: process.env.OPENROUTER_API_KEY || process.env.DEEPSEEK_API_KEY,
-                enabled: !!(process.env.OPENROUTER_API_KEY || process.env.DEEPSEEK_API_KEY) || this.testMode
-            },
-            microsoft: {
-                name: 'Microsoft MAI',
-                apiModel: 'microsoft/mai-ds-r1:free',
-                apiKey: process.env.OPENROUTER_API_KEY || process.env.MICROSOFT_API_KEY,
-                enabled: !!(process.env.OPENROUTER_API_KEY || process.env.MICROSOFT_API_KEY) || this.testMode
-            },
-            llama: {
-                name: 'Llama',
-                apiModel: 'meta-llama/llama-4-maverick:free',
-                apiKey: process.env.OPENROUTER_API_KEY || process.env.LLAMA_API_KEY,
-                enabled: !!(process.env.OPENROUTER_API_KEY || process.env.LLAMA_API_KEY) || this.testMode
-            },
-            // Keep OpenAI as it was working
-            openai: {
-                name: 'OpenAI',
-                apiModel: 'openai/gpt-oss-20b:free',
-                apiKey: process.env.OPENROUTER_API_KEY || process.env.OPENAI_API_KEY,
-                enabled: !!(process.env.OPENROUTER_API_KEY || process.env.OPENAI_API_KEY) || this.testMode
-            }
-        };
+        // Route every model through the deterministic mock adapter
+        this.mockMode = process.env.AI_MOCK_PROVIDER === 'true';
+
+        // Providers are built from the model registry (see config/aiModels.js)
+        this.providers = {};
+        modelRegistry.list().forEach(definition => {
+            const apiKey = definition.apiKeyEnv.map(name => process.env[name]).find(Boolean);
+            const active = definition.enabled !== false;
+            const keyless = !getAdapter(definition.adapter).requiresApiKey;
+            this.providers[definition.id] = {
+                ...definition,
+                apiKey,
+                active,
+                enabled: active && (!!apiKey || keyless || this.testMode || this.mockMode)
+            };
+        });
     }
 
     /**
@@ -53,141 +43,263 @@ class AIService {
      */
     getEnabledProviders() {
         return Object.entries(this.providers)
-            .filter(([key, provider]) => provider.enabled)
+            .filter(([, provider]) => provider.enabled)
             .map(([key, provider]) => ({ key, ...provider }));
     }
 
     /**
-     * Generate mock response for testing
+     * Get the model ids a user can run: models enabled with a server key,
+     * plus active models covered by one of the user's own API keys
      */
-    generateMockResponse(modelName, prompt, settings = {}) {
-        const responses = [
-            `This is a mock response from ${modelName} for the prompt: "${prompt.substring(0, 50)}..."`,
-            `${modelName} would typically analyze this prompt and provide a detailed response based on its training data.`,
-            `Mock ${modelName} response: The prompt discusses interesting topics that would require thoughtful analysis.`,
-            `${modelName} simulation: This is a test response generated for development purposes.`
-        ];
+    async getAvailableModels(userId) {
+        const userProviders = userId ? await userApiKeys.listProviders(userId) : [];
 
-        const randomResponse = responses[Math.floor(Math.random() * responses.length)];
-        const mockTokens = Math.floor(Math.random() * 100) + 50;
+        return Object.entries(this.providers)
+            .filter(([, provider]) => provider.enabled
+                || (provider.active && userProviders.includes(provider.keyProvider)))
+            .map(([key]) => key);
+    }
 
-        return {
-            model: modelName,
-            response: randomResponse,
-            status: 'success',
-            tokens: {
-                prompt: Math.floor(mockTokens * 0.7),
-                completion: Math.floor(mockTokens * 0.3),
-                total: mockTokens
-            },
-            responseTime: Math.floor(Math.random() * 2000) + 500 // 500-2500ms
-        };
+    /**
+     * Resolve the API key for a call, preferring the requesting user's own key
+     */
+    async resolveApiKey(provider, userId) {
+        if (userId) {
+            const userKey = await userApiKeys.getKey(userId, provider.keyProvider);
+            if (userKey) return userKey;
+        }
+        return provider.apiKey;
     }
 
     /**
-     * Unified method to call OpenRouter API (similar to frontend approach)
+     * Read a streamed (non-JSON) error body into an object or string
      */
-    async callOpenRouter(modelName, apiModel, prompt, settings = {}) {
+    async readErrorBody(data) {
+        if (typeof data?.on !== 'function') return data;
+
+        let body = '';
+        for await (const chunk of data) {
+            body += chunk.toString('utf8');
+        }
+        try {
+            return JSON.parse(body);
+        } catch {
+            return body;
+        }
+    }
+
+    /**
+     * Call a model through its provider adapter (see services/ai-adapters)
+     * Pass options.onDelta to stream the response; each text delta is handed
+     * to the callback as it arrives and the full text is still returned.
+     * Pass options.userId to use that user's own API key when they stored one.
+     * Pass options.repair ({ response, errors }) to ask the model to fix an
+     * answer that failed settings.responseSchema.
+     * With settings.tools.enabled the model may call server-side tools (see
+     * ai-tools.service) scoped to options.userId and options.projectId; every
+     * call is returned in toolCalls.
+     */
+    async callProvider(modelName, prompt, settings = {}, options = {}) {
+        const { onDelta, userId, projectId, repair } = options;
         const startTime = Date.now();
 
         try {
             const provider = this.providers[modelName];
-            if (!provider.enabled) {
+            if (!provider) {
+                throw new Error(`Unknown model: ${modelName}`);
+            }
+            if (!provider.active) {
                 throw new Error(`${modelName} is not enabled`);
             }
 
-            // Return mock response in test mode when no API key is provided
-            if (this.testMode && !provider.apiKey) {
-                await new Promise(resolve => setTimeout(resolve, Math.random() * 1000 + 500)); // Simulate API delay
-                return this.generateMockResponse(modelName, prompt, settings);
+            let adapter = getAdapter(provider.adapter);
+            const apiKey = await this.resolveApiKey(provider, userId);
+
+            // Use the mock provider in mock mode, or in test mode when no API key is provided
+            if (this.mockMode || (this.testMode && !apiKey && adapter.requiresApiKey)) {
+                adapter = getAdapter('mock');
             }
 
-            if (!provider.apiKey) {
-                throw new Error(`${modelName} API key not configured - Please set OPENROUTER_API_KEY in environment variables`);
+            if (!apiKey && adapter.requiresApiKey) {
+                throw new Error(`${modelName} API key not configured - Please set ${provider.apiKeyEnv.join(' or ')} in environment variables or add your own key`);
             }
 
-            // Build conversation history if previousResponseId is provided
-            const messages = [];
-
-            if (settings.previousResponseId) {
-                try {
-                    const AIResponse = (await import('../api/v1/ai/ai.model.js')).default;
-                    const prevResponse = await AIResponse.findById(settings.previousResponseId);
-
-                    if (prevResponse) {
-                        // Add original prompt and selected model's response
-                        messages.push({
-                            role: 'user',
-                            content: [{ type: 'text', text: prevResponse.prompt }]
-                        });
-
-                        const prevModelResponse = prevResponse[`${modelName}_response`]?.response;
-                        if (prevModelResponse) {
-                            messages.push({
-                                role: 'assistant',
-                                content: [{ type: 'text', text: prevModelResponse }]
-                            });
-                        }
-                        console.log(`[${modelName}] Added conversation history from ${settings.previousResponseId}`);
-                    }
-                } catch (err) {
-                    console.error(`[${modelName}] Error fetching history:`, err);
-                }
+            // Rebuild the conversation so far from the previousResponseId chain
+            let messages = [];
+            try {
+                messages = await aiConversation.buildHistory(settings.previousResponseId, modelName, {
+                    userId,
+                    tokenBudget: settings.historyTokenBudget,
+                    strategy: settings.historyStrategy,
+                    parentModel: settings.parentModel
+                });
+            } catch (err) {
+                console.error(`[${modelName}] Error fetching history:`, err);
             }
 
-            // Add the current prompt
-            messages.push({
-                role: 'user',
-                content: [{
-                    type: 'text',
-                    text: prompt
-                }]
+            // Project persona / request override goes first as the system message,
+            // followed by the JSON output instruction in JSON mode
+            const systemPrompt = [
+                settings.modelSystemPrompts?.[modelName] || settings.systemPrompt,
+                settings.responseSchema && structuredOutput.buildInstruction(settings.responseSchema)
+            ].filter(Boolean).join('\n\n');
+            if (systemPrompt) {
+                messages.unshift({
+                    role: 'system',
+                    content: [{ type: 'text', text: systemPrompt }]
+                });
+            }
+
+            // Add the current prompt with its attachments (images only for vision models),
+            // preceded by any retrieved knowledge base excerpts
+            const userContent = aiAttachment.buildContent(prompt, settings.attachments, {
+                images: aiAttachment.supportsImages(modelName)
             });
+            const knowledgeContext = knowledge.buildContext(settings.citations);
+            if (knowledgeContext) {
+                userContent.unshift({ type: 'text', text: knowledgeContext });
+            }
+            messages.push({ role: 'user', content: userContent });
 
-            const requestData = {
-                model: apiModel,
-                messages: messages,
-                temperature: settings.temperature || 0.7,
-                max_tokens: settings.maxTokens || 2000
-            };
+            if (repair) {
+                messages.push(
+                    { role: 'assistant', content: [{ type: 'text', text: repair.response }] },
+                    { role: 'user', content: [{ type: 'text', text: structuredOutput.buildRepairPrompt(repair.errors) }] }
+                );
+            }
+
+            // Redact PII and block list terms from everything sent when the policy asks for it
+            messages = aiModeration.redactMessages(messages, settings.moderation);
+
+            // Tools the model may call, when requested and supported by both the model and its adapter
+            const allowedTools = settings.tools?.enabled && adapter.supportsTools && aiTools.supportsTools(modelName)
+                ? aiTools.getAllowedTools(settings.tools)
+                : [];
+
+            // Identical low-temperature requests are answered from the cache (repair turns
+            // and tool-using requests never are)
+            const cacheKey = !repair && allowedTools.length === 0 && aiCache.appliesTo(settings)
+                ? aiCache.buildKey({
+                    model: modelName,
+                    apiModel: provider.apiModel,
+                    adapter: adapter.name,
+                    messages,
+                    temperature: settings.temperature,
+                    maxTokens: settings.maxTokens
+                })
+                : null;
+
+            if (cacheKey) {
+                const cached = await aiCache.get(cacheKey).catch(error => {
+                    console.error(`[${modelName}] Error reading cache:`, error);
+                    return null;
+                });
+
+                if (cached) {
+                    console.log(`[${modelName}] Cache hit`);
+                    if (onDelta) onDelta(cached.response);
+
+                    return {
+                        model: modelName,
+                        response: cached.response,
+                        status: 'success',
+                        tokens: { prompt: 0, completion: 0, total: 0 },
+                        responseTime: Date.now() - startTime,
+                        cache: {
+                            hit: true,
+                            key: cacheKey,
+                            cachedAt: cached.updatedAt,
+                            savedTokens: cached.tokens?.total || 0
+                        },
+                        createdAt: new Date()
+                    };
+                }
+            }
 
-            console.log(`[${modelName}] Calling OpenRouter API with model: ${apiModel}`);
-
-            const response = await axios.post(
-                this.openRouterEndpoint,
-                requestData,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${provider.apiKey}`,
-                        'Content-Type': 'application/json',
-                        'HTTP-Referer': process.env.OPENROUTER_SITE_URL || 'http://localhost:5000',
-                        'X-Title': process.env.OPENROUTER_SITE_TITLE || 'Auroro AI Backend'
-                    },
-                    timeout: 60000 // Increased timeout to 60 seconds for Gemini
+            console.log(`[${modelName}] Calling ${provider.adapter} with model: ${provider.apiModel}`);
+
+            const tools = aiTools.getDefinitions(allowedTools);
+            const maxIterations = aiTools.getMaxIterations(settings.tools);
+            const toolCalls = [];
+            const usage = { prompt: 0, completion: 0, total: 0 };
+            let content = '';
+
+            // Run requested tools and call the model again until it answers; once
+            // maxIterations turns have used tools the model must answer
+            for (let iteration = 1; ; iteration++) {
+                const finalTurn = tools.length === 0 || iteration > maxIterations;
+                // While the model may still call tools its text is held back, so
+                // what it writes before a tool call never reaches the stream
+                const buffered = [];
+
+                const result = await adapter.complete({
+                    provider,
+                    apiKey,
+                    messages,
+                    settings,
+                    onDelta: onDelta && !finalTurn ? delta => buffered.push(delta) : onDelta,
+                    tools: tools.length > 0 ? tools : undefined,
+                    toolChoice: tools.length > 0 && iteration > maxIterations ? 'none' : undefined
+                });
+
+                usage.prompt += result.usage.prompt;
+                usage.completion += result.usage.completion;
+                usage.total += result.usage.total;
+
+                if (finalTurn || !result.toolCalls?.length) {
+                    if (!finalTurn && buffered.length > 0) onDelta(buffered.join(''));
+                    content = result.content;
+                    break;
                 }
-            );
 
+                messages.push({
+                    role: 'assistant',
+                    content: result.content || null,
+                    tool_calls: result.toolCalls.map(toolCall => ({
+                        id: toolCall.id,
+                        type: 'function',
+                        function: { name: toolCall.name, arguments: toolCall.arguments }
+                    }))
+                });
+
+                for (const toolCall of result.toolCalls) {
+                    console.log(`[${modelName}] Calling tool ${toolCall.name}`);
+                    const record = await aiTools.execute(toolCall, allowedTools, { userId, projectId });
+                    toolCalls.push({ ...record, iteration, createdAt: new Date() });
+                    // Tool output is redacted like the rest of the conversation
+                    messages.push(...aiModeration.redactMessages(
+                        [{ role: 'tool', tool_call_id: toolCall.id, content: record.result }],
+                        settings.moderation
+                    ));
+                }
+            }
             const responseTime = Date.now() - startTime;
-            const content = response.data.choices?.[0]?.message?.content || '';
-            const usage = response.data.usage || {};
 
             console.log(`[${modelName}] Response received successfully in ${responseTime}ms`);
 
+            if (cacheKey) {
+                aiCache.set(cacheKey, { model: modelName, apiModel: provider.apiModel, response: content, tokens: usage })
+                    .catch(error => console.error(`[${modelName}] Error writing cache:`, error));
+            }
+
             return {
                 model: modelName,
                 response: content,
                 status: 'success',
-                tokens: {
-                    prompt: usage.prompt_tokens || 0,
-                    completion: usage.completion_tokens || 0,
-                    total: usage.total_tokens || 0
-                },
+                tokens: usage,
                 responseTime,
+                cache: cacheKey ? { hit: false, key: cacheKey } : undefined,
+                toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
                 createdAt: new Date()
             };
         } catch (error) {
             const responseTime = Date.now() - startTime;
 
+            // Streamed requests receive the error body as a stream as well
+            if (error.response?.data) {
+                error.response.data = await this.readErrorBody(error.response.data).catch(() => null);
+            }
+
             // Enhanced error logging for debugging
             console.error(`[${modelName}] Error after ${responseTime}ms:`, {
                 message: error.message,
@@ -196,19 +308,27 @@ class AIService {
                 statusText: error.response?.statusText
             });
 
-            // Extract detailed error message from OpenRouter response
+            // Extract detailed error message from the provider response
             let errorMessage = error.message;
             if (error.response?.data) {
-                errorMessage = error.response.data.error?.message
-                    || error.response.data.message
+                // Gemini wraps streamed errors in an array
+                const body = Array.isArray(error.response.data) ? error.response.data[0] : error.response.data;
+                errorMessage = body?.error?.message
+                    || body?.message
                     || JSON.stringify(error.response.data);
             }
 
+            // Network failures, timeouts, rate limits and server errors are worth retrying
+            const statusCode = error.response?.status;
+            const retryable = !!error.isAxiosError
+                && (!statusCode || statusCode === 408 || statusCode === 429 || statusCode >= 500);
+
             return {
                 model: modelName,
                 response: '',
                 status: 'error',
                 errorMessage: `${modelName} Error: ${errorMessage}`,
+                retryable,
                 tokens: { prompt: 0, completion: 0, total: 0 },
                 responseTime,
                 createdAt: new Date()
@@ -217,59 +337,128 @@ class AIService {
     }
 
     /**
-     * Generate response from Gemini
+     * Generate response from a single model (generic method)
      */
-    async generateGeminiResponse(prompt, settings = {}) {
-        return this.callOpenRouter('gemini', this.providers.gemini.apiModel, prompt, settings);
-    }
+    async generateSingleModelResponse(modelName, prompt, settings = {}, options = {}) {
+        const provider = this.providers[modelName];
+        if (!provider) {
+            throw new Error(`Unknown model: ${modelName}`);
+        }
+        if (!provider.active) {
+            throw new Error(`Model ${modelName} is not enabled or configured`);
+        }
 
-    /**
-     * Generate response from OpenAI
-     */
-    async generateOpenAIResponse(prompt, settings = {}) {
-        return this.callOpenRouter('openai', this.providers.openai.apiModel, prompt, settings);
-    }
+        let actualModel = modelName;
+        let result = await this.callWithBreaker(modelName, prompt, settings, options);
 
-    /**
-     * Generate response from Microsoft MAI
-     */
-    async generateMicrosoftResponse(prompt, settings = {}) {
-        return this.callOpenRouter('microsoft', this.providers.microsoft.apiModel, prompt, settings);
-    }
+        // Circuit open: route to the configured fallback model
+        if (!result && provider.fallback && this.providers[provider.fallback]?.active) {
+            console.log(`[${modelName}] Circuit open, falling back to ${provider.fallback}`);
+            actualModel = provider.fallback;
+            result = await this.callWithBreaker(actualModel, prompt, settings, options);
+        }
 
-    /**
-     * Generate response from Llama
-     */
-    async generateLlamaResponse(prompt, settings = {}) {
-        return this.callOpenRouter('llama', this.providers.llama.apiModel, prompt, settings);
+        if (!result) {
+            result = {
+                response: '',
+                status: 'error',
+                errorMessage: `${modelName} is temporarily unavailable (circuit open)`,
+                retryable: true,
+                tokens: { prompt: 0, completion: 0, total: 0 },
+                responseTime: 0,
+                createdAt: new Date()
+            };
+        }
+
+        if (settings.responseSchema && result.status === 'success') {
+            result = await this.enforceResponseSchema(actualModel, prompt, settings, options, result);
+        }
+
+        // Scan the answer when the moderation policy covers responses
+        result = aiModeration.moderateResult(result, settings.moderation);
+
+        result.model = modelName;
+        result.requestedModel = modelName;
+        result.actualModel = actualModel;
+
+        try {
+            result.cost = await aiPricing.calculateCost(actualModel, result.tokens);
+        } catch (error) {
+            console.error(`[${modelName}] Error calculating cost:`, error);
+            result.cost = 0;
+        }
+
+        return result;
     }
 
     /**
-     * Generate response from DeepSeek
+     * Call a model through its circuit breaker
+     * Resolves to null without calling the provider while the circuit is open.
+     * Only provider-side failures (retryable errors) count against the circuit.
      */
-    async generateDeepSeekResponse(prompt, settings = {}) {
-        return this.callOpenRouter('deepseek', this.providers.deepseek.apiModel, prompt, settings);
+    async callWithBreaker(modelName, prompt, settings, options) {
+        if (!aiBreaker.canRequest(modelName)) {
+            return null;
+        }
+
+        const result = await this.callProvider(modelName, prompt, settings, options);
+
+        if (result.status === 'error' && result.retryable) {
+            aiBreaker.recordFailure(modelName, result.errorMessage);
+        } else {
+            aiBreaker.recordSuccess(modelName);
+        }
+
+        return result;
     }
 
     /**
-     * Generate response from a single model (generic method)
+     * Parse and validate a JSON mode answer, asking the model to repair it
+     * (up to AI_JSON_REPAIR_ATTEMPTS times) when it does not match the schema
+     * Answers that stay invalid get the 'invalid_json' status.
      */
-    async generateSingleModelResponse(modelName, prompt, settings = {}) {
-        const provider = this.providers[modelName];
-        if (!provider) {
-            throw new Error(`Unknown model: ${modelName}`);
-        }
-        if (!provider.enabled) {
-            throw new Error(`Model ${modelName} is not enabled or configured`);
+    async enforceResponseSchema(modelName, prompt, settings, options, result) {
+        let evaluation = structuredOutput.evaluate(settings.responseSchema, result.response);
+        let repairAttempts = 0;
+
+        while (!evaluation.valid && repairAttempts < structuredOutput.maxRepairAttempts) {
+            repairAttempts++;
+            console.log(`[${modelName}] Invalid JSON output, repair attempt ${repairAttempts}: ${evaluation.errors.join('; ')}`);
+
+            const repaired = await this.callProvider(modelName, prompt, settings, {
+                userId: options.userId,
+                projectId: options.projectId,
+                repair: { response: result.response, errors: evaluation.errors }
+            });
+            if (repaired.status !== 'success') break;
+
+            result = {
+                ...repaired,
+                tokens: {
+                    prompt: result.tokens.prompt + repaired.tokens.prompt,
+                    completion: result.tokens.completion + repaired.tokens.completion,
+                    total: result.tokens.total + repaired.tokens.total
+                },
+                responseTime: result.responseTime + repaired.responseTime
+            };
+            evaluation = structuredOutput.evaluate(settings.responseSchema, result.response);
         }
-        return this.callOpenRouter(modelName, provider.apiModel, prompt, settings);
+
+        return {
+            ...result,
+            status: evaluation.valid ? 'success' : 'invalid_json',
+            errorMessage: evaluation.valid ? undefined : `${modelName} output does not match the response schema`,
+            parsedResponse: evaluation.parsed,
+            validationErrors: evaluation.errors,
+            repairAttempts
+        };
     }
 
     /**
      * Generate responses from multiple AI models concurrently
      */
     async generateMultiModelResponse(prompt, settings = {}) {
-        const enabledModels = settings.enabledModels || ['gemini', 'openai', 'deepseek', 'microsoft', 'llama'];
+        const enabledModels = settings.enabledModels || modelRegistry.ids();
         const availableModels = enabledModels.filter(model => this.providers[model]?.enabled);
 
         if (availableModels.length === 0) {
@@ -278,27 +467,7 @@ class AIService {
 
         const promises = availableModels.map(async (model) => {
             try {
-                switch (model) {
-                    case 'gemini':
-                        return await this.generateGeminiResponse(prompt, settings);
-                    case 'openai':
-                        return await this.generateOpenAIResponse(prompt, settings);
-                    case 'deepseek':
-                        return await this.generateDeepSeekResponse(prompt, settings);
-                    case 'microsoft':
-                        return await this.generateMicrosoftResponse(prompt, settings);
-                    case 'llama':
-                        return await this.generateLlamaResponse(prompt, settings);
-                    default:
-                        return {
-                            model,
-                            response: '',
-                            status: 'error',
-                            errorMessage: 'Unknown model',
-                            tokens: { prompt: 0, completion: 0, total: 0 },
-                            responseTime: 0
-                        };
-                }
+                return await this.generateSingleModelResponse(model, prompt, settings);
             } catch (error) {
                 return {
                     model,
@@ -344,8 +513,15 @@ class AIService {
         return Object.entries(this.providers).map(([key, provider]) => ({
             name: key,
             displayName: provider.name,
+            apiModel: provider.apiModel,
+            adapter: provider.adapter,
+            keyProvider: provider.keyProvider,
+            fallback: provider.fallback || null,
+            vision: provider.vision === true,
+            tools: provider.tools === true,
             enabled: provider.enabled,
-            configured: !!provider.apiKey
+            configured: !!provider.apiKey,
+            health: aiBreaker.getHealth(key)
         }));
     }
 }
@@ -0,0 +1,258 @@
+import axios from 'axios';
+
+import KnowledgeDocument from '../api/v1/project/knowledge-document.model';
+import KnowledgeChunk from '../api/v1/project/knowledge-chunk.model';
+
+// Chunking: windows of CHUNK_WORDS words, consecutive chunks share CHUNK_OVERLAP words
+const CHUNK_WORDS = 200;
+const CHUNK_OVERLAP = 40;
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Chunks sent to the embeddings provider per request
+const EMBEDDING_BATCH_SIZE = 64;
+const EMBEDDING_TIMEOUT_MS = 30000;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'had',
+    'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of',
+    'on', 'or', 'our', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+    'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+    'you', 'your'
+]);
+
+/**
+ * Knowledge Service
+ * Per-project knowledge base for retrieval-augmented generation. Document
+ * text is split into overlapping chunks and indexed for BM25 lexical search;
+ * when an embeddings provider is configured (AI_EMBEDDINGS_MODEL) chunks are
+ * embedded as well and search blends both scores.
+ */
+class KnowledgeService {
+    constructor() {
+        this.defaultTopK = parseInt(process.env.AI_KNOWLEDGE_TOP_K) || 5;
+        this.embeddings = process.env.AI_EMBEDDINGS_MODEL
+            ? {
+                model: process.env.AI_EMBEDDINGS_MODEL,
+                baseUrl: (process.env.AI_EMBEDDINGS_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+                apiKey: process.env.AI_EMBEDDINGS_API_KEY || process.env.OPENAI_API_KEY
+            }
+            : null;
+    }
+
+    /**
+     * Split text into index terms (lowercase words and numbers, stop words removed)
+     */
+    tokenize(text = '') {
+        return text
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+    }
+
+    /**
+     * Split document text into overlapping word windows
+     */
+    chunkText(text) {
+        const words = text.split(/\s+/).filter(Boolean);
+        const chunks = [];
+
+        for (let start = 0; start < words.length; start += CHUNK_WORDS - CHUNK_OVERLAP) {
+            chunks.push(words.slice(start, start + CHUNK_WORDS).join(' '));
+            if (start + CHUNK_WORDS >= words.length) break;
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Embed texts with the configured OpenAI-compatible embeddings endpoint
+     */
+    async embed(texts) {
+        const vectors = [];
+
+        for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+            const response = await axios.post(
+                `${this.embeddings.baseUrl}/embeddings`,
+                { model: this.embeddings.model, input: texts.slice(i, i + EMBEDDING_BATCH_SIZE) },
+                {
+                    headers: this.embeddings.apiKey ? { Authorization: `Bearer ${this.embeddings.apiKey}` } : {},
+                    timeout: EMBEDDING_TIMEOUT_MS
+                }
+            );
+            response.data.data
+                .sort((x, y) => x.index - y.index)
+                .forEach(item => vectors.push(item.embedding));
+        }
+
+        return vectors;
+    }
+
+    /**
+     * Chunk and index a document's text, then mark it ready (or failed)
+     */
+    async indexDocument(document, text) {
+        try {
+            const chunks = this.chunkText(text).map((chunkText, index) => {
+                const terms = this.tokenize(chunkText);
+                const frequencies = {};
+                terms.forEach(term => {
+                    frequencies[term] = (frequencies[term] || 0) + 1;
+                });
+
+                return {
+                    documentId: document._id,
+                    projectId: document.projectId,
+                    index,
+                    text: chunkText,
+                    terms: frequencies,
+                    length: terms.length
+                };
+            });
+
+            let embedded = false;
+            if (this.embeddings && chunks.length > 0) {
+                try {
+                    const vectors = await this.embed(chunks.map(chunk => chunk.text));
+                    chunks.forEach((chunk, index) => {
+                        chunk.embedding = vectors[index];
+                    });
+                    embedded = true;
+                } catch (error) {
+                    // Lexical search still works without embeddings
+                    console.error(`[Knowledge] Embedding ${document._id} failed:`, error.message);
+                }
+            }
+
+            await KnowledgeChunk.deleteMany({ documentId: document._id });
+            await KnowledgeChunk.insertMany(chunks);
+
+            return KnowledgeDocument.findByIdAndUpdate(
+                document._id,
+                { status: 'ready', chunkCount: chunks.length, textLength: text.length, embedded, errorMessage: null },
+                { new: true }
+            );
+        } catch (error) {
+            await KnowledgeDocument.updateOne({ _id: document._id }, { status: 'failed', errorMessage: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a document and its chunks
+     */
+    async deleteDocument(documentId) {
+        await KnowledgeChunk.deleteMany({ documentId });
+        return KnowledgeDocument.findByIdAndDelete(documentId);
+    }
+
+    /**
+     * Delete a project's whole knowledge base
+     */
+    async deleteProjectKnowledge(projectId) {
+        await KnowledgeChunk.deleteMany({ projectId });
+        return KnowledgeDocument.deleteMany({ projectId });
+    }
+
+    /**
+     * BM25 scores of chunks for the query terms
+     */
+    scoreBM25(chunks, queryTerms) {
+        const averageLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0) / chunks.length || 1;
+        const frequency = (chunk, term) => (chunk.terms instanceof Map ? chunk.terms.get(term) : chunk.terms?.[term]) || 0;
+
+        const idf = {};
+        queryTerms.forEach(term => {
+            const documentFrequency = chunks.filter(chunk => frequency(chunk, term) > 0).length;
+            idf[term] = Math.log(1 + (chunks.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        });
+
+        return chunks.map(chunk => queryTerms.reduce((score, term) => {
+            const tf = frequency(chunk, term);
+            if (tf === 0) return score;
+            return score + idf[term] * (tf * (BM25_K1 + 1))
+                / (tf + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / averageLength));
+        }, 0));
+    }
+
+    /**
+     * Cosine similarity of two vectors
+     */
+    cosine(vectorA = [], vectorB = []) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < Math.min(vectorA.length, vectorB.length); i++) {
+            dot += vectorA[i] * vectorB[i];
+            normA += vectorA[i] * vectorA[i];
+            normB += vectorB[i] * vectorB[i];
+        }
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    /**
+     * Find the chunks of a project's ready documents most relevant to a query
+     * Only documents owned by userId are searched.
+     * Resolves to citations: { documentId, documentName, chunkIndex, score, text }
+     */
+    async search(projectId, userId, query, { topK = this.defaultTopK } = {}) {
+        const documents = await KnowledgeDocument.find({ projectId, userId, status: 'ready' }).select('name embedded').lean();
+        if (documents.length === 0) return [];
+
+        const queryTerms = [...new Set(this.tokenize(query))];
+        const useEmbeddings = !!this.embeddings && documents.some(document => document.embedded);
+
+        const chunks = await KnowledgeChunk.find({ documentId: { $in: documents.map(document => document._id) } })
+            .select(useEmbeddings ? '+embedding' : '')
+            .lean();
+        if (chunks.length === 0) return [];
+
+        const lexical = this.scoreBM25(chunks, queryTerms);
+        const maxLexical = Math.max(...lexical, 0);
+        let scores = lexical.map(score => (maxLexical > 0 ? score / maxLexical : 0));
+
+        if (useEmbeddings) {
+            try {
+                const [queryVector] = await this.embed([query]);
+                scores = scores.map((score, index) => (
+                    chunks[index].embedding?.length
+                        ? (score + Math.max(this.cosine(queryVector, chunks[index].embedding), 0)) / 2
+                        : score / 2
+                ));
+            } catch (error) {
+                console.error('[Knowledge] Query embedding failed, using lexical search:', error.message);
+            }
+        }
+
+        const names = new Map(documents.map(document => [String(document._id), document.name]));
+
+        return chunks
+            .map((chunk, index) => ({ chunk, score: scores[index] }))
+            .filter(({ score }) => score > 0)
+            .sort((x, y) => y.score - x.score)
+            .slice(0, topK)
+            .map(({ chunk, score }) => ({
+                documentId: chunk.documentId,
+                documentName: names.get(String(chunk.documentId)),
+                chunkIndex: chunk.index,
+                score: Math.round(score * 1000) / 1000,
+                text: chunk.text
+            }));
+    }
+
+    /**
+     * Build the knowledge context sent ahead of the prompt, numbered to match the citations
+     */
+    buildContext(citations = []) {
+        if (citations.length === 0) return null;
+
+        const sources = citations.map((citation, index) => `[${index + 1}] ${citation.documentName}:\n${citation.text}`);
+
+        return [
+            'Use the following excerpts from the project knowledge base if they are relevant. Cite them as [n].',
+            ...sources
+        ].join('\n\n');
+    }
+}
+
+export default new KnowledgeService();
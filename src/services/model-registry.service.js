@@ -0,0 +1,112 @@
+import { loadAIModels } from '../config/aiModels';
+import { getAdapter, adapterNames } from './ai-adapters';
+
+/**
+ * Model Registry
+ * Single source of truth for which AI models exist. Models are registered from
+ * configuration (see config/aiModels.js) and every schema, validator and
+ * controller loop reads the list from here.
+ */
+class ModelRegistry {
+    constructor(definitions = []) {
+        this.models = new Map();
+        definitions.forEach(definition => this.register(definition));
+
+        // Fallbacks may point at models registered later, so check them last
+        this.list().forEach(({ id, fallback }) => {
+            if (fallback && (fallback === id || !this.models.has(fallback))) {
+                throw new Error(`Model "${id}" has invalid fallback "${fallback}"`);
+            }
+        });
+    }
+
+    /**
+     * Register a model definition
+     */
+    register(definition) {
+        const { id, name, apiModel, baseUrl, adapter = 'openrouter', apiKeyEnv, keyProvider } = definition;
+
+        if (!id || !/^[a-z][a-z0-9]*$/.test(id)) {
+            throw new Error(`Invalid model id "${id}" - use lowercase letters and digits only`);
+        }
+        if (this.models.has(id)) {
+            throw new Error(`Model "${id}" is already registered`);
+        }
+        if (!apiModel) {
+            throw new Error(`Model "${id}" is missing apiModel`);
+        }
+        if (!getAdapter(adapter)) {
+            throw new Error(`Model "${id}" uses unsupported adapter "${adapter}" - use one of: ${adapterNames().join(', ')}`);
+        }
+
+        const { defaultBaseUrl, defaultApiKeyEnv } = getAdapter(adapter);
+        if (!baseUrl && !defaultBaseUrl) {
+            throw new Error(`Model "${id}" is missing baseUrl (required by the ${adapter} adapter)`);
+        }
+        const keyEnv = apiKeyEnv || defaultApiKeyEnv;
+
+        this.models.set(id, {
+            ...definition,
+            id,
+            name: name || id,
+            apiModel,
+            baseUrl: (baseUrl || defaultBaseUrl).replace(/\/+$/, ''),
+            adapter,
+            apiKeyEnv: Array.isArray(keyEnv) ? keyEnv : [keyEnv],
+            keyProvider: keyProvider || adapter
+        });
+
+        return this.models.get(id);
+    }
+
+    /**
+     * Get a model definition by id
+     */
+    get(id) {
+        return this.models.get(id);
+    }
+
+    /**
+     * Check whether a model id is registered
+     */
+    has(id) {
+        return this.models.has(id);
+    }
+
+    /**
+     * Get all registered model ids
+     */
+    ids() {
+        return Array.from(this.models.keys());
+    }
+
+    /**
+     * Get all registered model definitions
+     */
+    list() {
+        return Array.from(this.models.values());
+    }
+
+    /**
+     * Get the providers users can store their own API keys for
+     */
+    keyProviders() {
+        return [...new Set(this.list().map(definition => definition.keyProvider))];
+    }
+
+    /**
+     * Get the AIResponse field name holding a model's response
+     */
+    responseField(id) {
+        return `${id}_response`;
+    }
+
+    /**
+     * Get the AIResponse field names for all registered models
+     */
+    responseFields() {
+        return this.ids().map(id => this.responseField(id));
+    }
+}
+
+export default new ModelRegistry(loadAIModels());
@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+
+import aesUtils from '../utils/cryptoHash';
+import UserApiKey from '../api/v1/User/user-api-key.model';
+
+/**
+ * User API Key Service
+ * Stores users' own provider API keys encrypted at rest with AES-256-CBC.
+ * The AES key is derived from the API_KEY_ENCRYPTION_KEY master secret;
+ * plain keys are only ever decrypted for outgoing provider calls.
+ */
+class UserApiKeyService {
+    /**
+     * Derive the 256-bit AES key from the master secret
+     */
+    getMasterKey() {
+        const secret = process.env.API_KEY_ENCRYPTION_KEY;
+        if (!secret) {
+            throw new Error('API_KEY_ENCRYPTION_KEY is not configured');
+        }
+        return crypto.createHash('sha256').update(secret).digest();
+    }
+
+    /**
+     * Mask a stored key for display, e.g. "****abcd"
+     */
+    mask(record) {
+        return {
+            provider: record.provider,
+            maskedKey: `****${record.lastFour || ''}`,
+            lastUsedAt: record.lastUsedAt || null,
+            createdAt: record.createdAt,
+            updatedAt: record.updatedAt
+        };
+    }
+
+    /**
+     * List a user's keys (masked)
+     */
+    async listKeys(userId) {
+        const records = await UserApiKey.find({ userId }).sort({ provider: 1 }).lean();
+        return records.map(record => this.mask(record));
+    }
+
+    /**
+     * Get the providers a user has stored keys for
+     */
+    async listProviders(userId) {
+        return UserApiKey.distinct('provider', { userId });
+    }
+
+    /**
+     * Encrypt and store (or replace) a user's key for a provider
+     * Resolves to the masked key
+     */
+    async saveKey(userId, provider, apiKey) {
+        const { iv } = aesUtils.generateKeyAndIv();
+        const encryptedKey = aesUtils.encrypt(apiKey, this.getMasterKey(), iv);
+
+        const record = await UserApiKey.findOneAndUpdate(
+            { userId, provider },
+            {
+                encryptedKey,
+                iv: iv.toString('hex'),
+                lastFour: apiKey.slice(-4)
+            },
+            { upsert: true, new: true, runValidators: true }
+        ).lean();
+
+        return this.mask(record);
+    }
+
+    /**
+     * Delete a user's key for a provider
+     */
+    async deleteKey(userId, provider) {
+        return UserApiKey.findOneAndDelete({ userId, provider });
+    }
+
+    /**
+     * Get a user's decrypted key for a provider, or null
+     * Keys that can no longer be decrypted (e.g. rotated master secret) are ignored.
+     */
+    async getKey(userId, provider) {
+        const record = await UserApiKey.findOne({ userId, provider }).select('+encryptedKey +iv').lean();
+        if (!record) return null;
+
+        try {
+            const apiKey = aesUtils.decrypt(record.encryptedKey, this.getMasterKey(), Buffer.from(record.iv, 'hex'));
+
+            UserApiKey.updateOne({ _id: record._id }, { lastUsedAt: new Date() })
+                .catch(error => console.error('[ApiKeys] Error updating lastUsedAt:', error));
+
+            return apiKey;
+        } catch (error) {
+            console.error(`[ApiKeys] Unable to decrypt ${provider} key for user ${userId}:`, error.message);
+            return null;
+        }
+    }
+}
+
+export default new UserApiKeyService();
@@ -1,3 +1,6 @@
+import dns from 'dns';
+import net from 'net';
+
 export const getClientIp = (req) => {
   const forwardedFor = req.headers['x-forwarded-for'];
   if (forwardedFor) {
@@ -6,3 +9,58 @@ export const getClientIp = (req) => {
   }
   return req.connection.remoteAddress;
 };
+
+// Address ranges outbound requests must never reach: private, loopback,
+// link-local (incl. cloud metadata), carrier-grade NAT, multicast and reserved
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is publicly routable
+ */
+export const isPublicAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * dns.lookup replacement for outbound HTTP clients (axios `lookup` option)
+ * Fails when any resolved address is not public, so the check applies to the
+ * address actually connected to rather than an earlier resolution.
+ */
+export const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a non-public address`));
+    }
+
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Throw unless a URL's host is a hostname or a public IP address
+ * (IP literals never go through the lookup, so they are checked here)
+ */
+export const assertPublicHost = (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+    throw new Error(`${hostname} is not a public address`);
+  }
+};